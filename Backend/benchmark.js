@@ -0,0 +1,107 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+
+// Times background processing cycles against the in-memory adapter:
+//   npm run benchmark               10k and 100k alerts
+//   node benchmark.js 20000 50000   custom sizes
+// Alerts are spread over the last 24 hours across the source types in rules.json,
+// BENCHMARK_DRIVERS drivers and BENCHMARK_VEHICLES vehicles. The first cycle
+// escalates whatever the rules match; the second shows the steady state.
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.RULES_HOT_RELOAD = 'false';
+process.env.RULE_REVISIONS_PATH = path.join(os.tmpdir(), `alert-benchmark-revisions-${process.pid}.ndjson`);
+
+const Alert = require('./models/Alert');
+const AlertService = require('./services/AlertService');
+
+const SIZES = process.argv.slice(2).map(size => parseInt(size)).filter(size => size > 0);
+const DRIVERS = parseInt(process.env.BENCHMARK_DRIVERS) || 500;
+const VEHICLES = parseInt(process.env.BENCHMARK_VEHICLES) || 400;
+const SPREAD_MS = 24 * 60 * 60 * 1000;
+
+// Alerts log every escalation; keep the benchmark output readable
+async function quietly(task) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await task();
+    } finally {
+        console.log = log;
+    }
+}
+
+async function timed(task) {
+    const start = performance.now();
+    await quietly(task);
+    return performance.now() - start;
+}
+
+async function seed(alertService, count) {
+    const sourceTypes = Object.keys(alertService.getRules());
+    const now = Date.now();
+
+    for (let i = 0; i < count; i++) {
+        const alert = new Alert({
+            alertId: `bench-${i}`,
+            sourceType: sourceTypes[i % sourceTypes.length],
+            timestamp: new Date(now - Math.floor(Math.random() * SPREAD_MS)).toISOString(),
+            metadata: {
+                driverId: `DRV${i % DRIVERS}`,
+                vehicleId: `VH${(i * 7) % VEHICLES}`,
+                speed: 70 + (i % 40)
+            }
+        });
+        await alertService.storageManager.saveAlert(alert);
+    }
+}
+
+async function run(count) {
+    // The memory adapter needs no Redis; background jobs are never triggered here
+    const alertService = await quietly(() => new AlertService(null));
+
+    const seedMs = await timed(() => seed(alertService, count));
+    const windowMs = await timed(() => alertService.syncWindows());
+    const firstCycleMs = await timed(() => alertService.processAllAlerts());
+    const secondCycleMs = await timed(() => alertService.processAllAlerts());
+    const summary = await alertService.storageManager.getSummary();
+
+    return {
+        alerts: count,
+        escalated: summary.byField.status.ESCALATED || 0,
+        seedMs,
+        windowMs,
+        firstCycleMs,
+        secondCycleMs
+    };
+}
+
+function format(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms.toFixed(0)} ms`;
+}
+
+async function main() {
+    const sizes = SIZES.length > 0 ? SIZES : [10000, 100000];
+    console.log(` Background cycle benchmark (memory adapter, ${DRIVERS} drivers, ${VEHICLES} vehicles)\n`);
+
+    for (const size of sizes) {
+        const result = await run(size);
+        console.log(`   ${result.alerts} alerts (${result.escalated} escalated after the first cycle)`);
+        console.log(`     Seeding:        ${format(result.seedMs)}`);
+        console.log(`     Window rebuild: ${format(result.windowMs)}`);
+        console.log(`     First cycle:    ${format(result.firstCycleMs)}`);
+        console.log(`     Second cycle:   ${format(result.secondCycleMs)} (${(result.secondCycleMs * 1000 / size).toFixed(1)} µs per alert)\n`);
+    }
+}
+
+main()
+    .catch(error => {
+        console.error(' Benchmark failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(process.env.RULE_REVISIONS_PATH, { force: true });
+        // node-cron keeps the process alive
+        process.exit();
+    });
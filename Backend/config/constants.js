@@ -1,12 +1,46 @@
 // Alert States
 const ALERT_STATES = {
     OPEN: 'OPEN',
+    ACKNOWLEDGED: 'ACKNOWLEDGED',
     ESCALATED: 'ESCALATED',
+    SNOOZED: 'SNOOZED',
+    SUPPRESSED: 'SUPPRESSED',
     AUTO_CLOSED: 'AUTO_CLOSED',
     RESOLVED: 'RESOLVED',
     EXPIRED: 'EXPIRED'
 };
 
+// States in which an alert no longer takes part in rule evaluation
+const TERMINAL_STATES = [
+    ALERT_STATES.RESOLVED,
+    ALERT_STATES.AUTO_CLOSED,
+    ALERT_STATES.EXPIRED
+];
+
+// Open but muted: hidden from active views and not evaluated by rules until woken
+const PAUSED_STATES = [
+    ALERT_STATES.SNOOZED,
+    ALERT_STATES.SUPPRESSED
+];
+
+const ACTIVE_STATES = Object.values(ALERT_STATES).filter(state => !TERMINAL_STATES.includes(state) && !PAUSED_STATES.includes(state));
+
+// Allowed status changes: status -> statuses it may move to. Staying in an active
+// status is allowed for repeated escalations and de-escalations; a SNOOZED alert
+// wakes up to the status it was snoozed in (or is snoozed again), SUPPRESSED alerts
+// are only closed. RESOLVED and AUTO_CLOSED alerts can be reopened within
+// REOPEN_WINDOW_HOURS, EXPIRED is final.
+const ALERT_TRANSITIONS = {
+    [ALERT_STATES.OPEN]: [ALERT_STATES.OPEN, ALERT_STATES.ACKNOWLEDGED, ALERT_STATES.ESCALATED, ALERT_STATES.SNOOZED, ALERT_STATES.SUPPRESSED, ALERT_STATES.AUTO_CLOSED, ALERT_STATES.RESOLVED, ALERT_STATES.EXPIRED],
+    [ALERT_STATES.ACKNOWLEDGED]: [ALERT_STATES.ACKNOWLEDGED, ALERT_STATES.ESCALATED, ALERT_STATES.SNOOZED, ALERT_STATES.AUTO_CLOSED, ALERT_STATES.RESOLVED, ALERT_STATES.EXPIRED],
+    [ALERT_STATES.ESCALATED]: [ALERT_STATES.ESCALATED, ALERT_STATES.OPEN, ALERT_STATES.ACKNOWLEDGED, ALERT_STATES.SNOOZED, ALERT_STATES.AUTO_CLOSED, ALERT_STATES.RESOLVED, ALERT_STATES.EXPIRED],
+    [ALERT_STATES.SNOOZED]: [ALERT_STATES.SNOOZED, ALERT_STATES.OPEN, ALERT_STATES.ACKNOWLEDGED, ALERT_STATES.ESCALATED, ALERT_STATES.RESOLVED, ALERT_STATES.EXPIRED],
+    [ALERT_STATES.SUPPRESSED]: [ALERT_STATES.RESOLVED, ALERT_STATES.EXPIRED],
+    [ALERT_STATES.AUTO_CLOSED]: [ALERT_STATES.OPEN],
+    [ALERT_STATES.RESOLVED]: [ALERT_STATES.OPEN],
+    [ALERT_STATES.EXPIRED]: []
+};
+
 // Severity Levels
 const SEVERITY_LEVELS = {
     LOW: 'LOW',
@@ -19,8 +53,17 @@ const SEVERITY_LEVELS = {
 const EVENT_TYPES = {
     CREATED: 'CREATED',
     ESCALATED: 'ESCALATED',
+    DE_ESCALATED: 'DE_ESCALATED',
+    CORRELATED: 'CORRELATED',
+    ACKNOWLEDGED: 'ACKNOWLEDGED',
+    ASSIGNED: 'ASSIGNED',
     AUTO_CLOSED: 'AUTO_CLOSED',
     RESOLVED: 'RESOLVED',
+    REOPENED: 'REOPENED',
+    SNOOZED: 'SNOOZED',
+    UNSNOOZED: 'UNSNOOZED',
+    SUPPRESSED: 'SUPPRESSED',
+    METADATA_UPDATED: 'METADATA_UPDATED',
     EXPIRED: 'EXPIRED',
     RULE_APPLIED: 'RULE_APPLIED'
 };
@@ -31,6 +74,7 @@ const RESPONSE_CODES = {
     CREATED: 201,
     BAD_REQUEST: 400,
     NOT_FOUND: 404,
+    CONFLICT: 409,
     INTERNAL_ERROR: 500
 };
 
@@ -40,11 +84,18 @@ const CONFIG = {
     MAX_PAGE_LIMIT: 100,
     DEFAULT_EXPIRY_DAYS: 30,
     DEFAULT_BACKGROUND_JOB_INTERVAL: 2,
-    DEFAULT_ESCALATION_COOLDOWN: 60
+    DEFAULT_ESCALATION_COOLDOWN: 60,
+    DEFAULT_REOPEN_WINDOW_HOURS: 24,
+    DEFAULT_MAX_OCCURRENCES: 100,
+    MAX_SAVE_RETRIES: 3
 };
 
 module.exports = {
     ALERT_STATES,
+    TERMINAL_STATES,
+    PAUSED_STATES,
+    ACTIVE_STATES,
+    ALERT_TRANSITIONS,
     SEVERITY_LEVELS,
     EVENT_TYPES,
     RESPONSE_CODES,
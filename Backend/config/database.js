@@ -1,8 +1,11 @@
 const Redis = require('ioredis');
+const EventEmitter = require('events');
 require('dotenv').config();
 
-class RedisManager {
+// Emits 'connected' / 'disconnected' when the connection state changes
+class RedisManager extends EventEmitter {
     constructor() {
+        super();
         this.client = null;
         this.isConnected = false;
         this.initRedis();
@@ -22,21 +25,32 @@ class RedisManager {
 
             this.client.on('connect', () => {
                 console.log(' Connected to Redis');
-                this.isConnected = true;
+                this.setConnected(true);
             });
 
             this.client.on('error', (err) => {
                 console.log(' Redis connection error:', err.message);
-                this.isConnected = false;
+                this.setConnected(false);
+            });
+
+            this.client.on('close', () => {
+                this.setConnected(false);
             });
 
             await this.client.ping();
         } catch (error) {
             console.log('  Redis not available, falling back to in-memory storage');
-            this.isConnected = false;
+            this.setConnected(false);
         }
     }
 
+    setConnected(isConnected) {
+        if (this.isConnected === isConnected) return;
+
+        this.isConnected = isConnected;
+        this.emit(isConnected ? 'connected' : 'disconnected');
+    }
+
     async set(key, value, expireSeconds = null) {
         if (!this.isConnected) return null;
         try {
@@ -72,6 +86,53 @@ class RedisManager {
         }
     }
 
+    // SET key value NX PX ttl; resolves true when the key was set, false when it already exists
+    async setIfAbsent(key, value, ttlMs) {
+        if (!this.isConnected) return null;
+        try {
+            return (await this.client.set(key, value, 'PX', ttlMs, 'NX')) === 'OK';
+        } catch (error) {
+            console.error('Redis SET NX error:', error);
+            return null;
+        }
+    }
+
+    async mget(keys) {
+        if (!this.isConnected || keys.length === 0) return [];
+        try {
+            const results = await this.client.mget(...keys);
+            return results.map(result => result ? JSON.parse(result) : null);
+        } catch (error) {
+            console.error('Redis MGET error:', error);
+            return [];
+        }
+    }
+
+    // Executes a batch of raw commands, e.g. [['zadd', key, score, member], ...]
+    async pipeline(commands) {
+        if (!this.isConnected || commands.length === 0) return [];
+        try {
+            const results = await this.client.pipeline(commands).exec();
+            return results.map(([err, result]) => {
+                if (err) console.error('Redis pipeline command error:', err.message);
+                return err ? null : result;
+            });
+        } catch (error) {
+            console.error('Redis PIPELINE error:', error);
+            return [];
+        }
+    }
+
+    async eval(script, keys = [], args = []) {
+        if (!this.isConnected) return null;
+        try {
+            return await this.client.eval(script, keys.length, ...keys, ...args);
+        } catch (error) {
+            console.error('Redis EVAL error:', error);
+            return null;
+        }
+    }
+
     async keys(pattern) {
         if (!this.isConnected) return [];
         try {
@@ -101,6 +162,57 @@ class RedisManager {
             return [];
         }
     }
+
+    async zrevrangebyscore(key, max, min, offset = 0, count = -1) {
+        if (!this.isConnected) return [];
+        try {
+            return await this.client.zrevrangebyscore(key, max, min, 'LIMIT', offset, count);
+        } catch (error) {
+            console.error('Redis ZREVRANGEBYSCORE error:', error);
+            return [];
+        }
+    }
+
+    async zrangebyscore(key, min, max) {
+        if (!this.isConnected) return [];
+        try {
+            return await this.client.zrangebyscore(key, min, max);
+        } catch (error) {
+            console.error('Redis ZRANGEBYSCORE error:', error);
+            return [];
+        }
+    }
+
+    async zcount(key, min, max) {
+        if (!this.isConnected) return 0;
+        try {
+            return await this.client.zcount(key, min, max);
+        } catch (error) {
+            console.error('Redis ZCOUNT error:', error);
+            return 0;
+        }
+    }
+
+    // ZUNIONSTORE / ZINTERSTORE keeping the lowest score of each member
+    async zstore(operation, destination, keys) {
+        if (!this.isConnected) return null;
+        try {
+            return await this.client[operation](destination, keys.length, ...keys, 'AGGREGATE', 'MIN');
+        } catch (error) {
+            console.error(`Redis ${operation.toUpperCase()} error:`, error);
+            return null;
+        }
+    }
+
+    async smembers(key) {
+        if (!this.isConnected) return [];
+        try {
+            return await this.client.smembers(key);
+        } catch (error) {
+            console.error('Redis SMEMBERS error:', error);
+            return [];
+        }
+    }
 }
 
 module.exports = RedisManager;
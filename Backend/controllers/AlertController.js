@@ -1,4 +1,5 @@
 const { RESPONSE_CODES, CONFIG } = require('../config/constants');
+const { ConcurrencyError, InvalidTransitionError, RuleValidationError, SimulationLimitError } = require('../utils/errors');
 
 class AlertController {
     constructor(alertService) {
@@ -22,9 +23,20 @@ class AlertController {
                 metadata
             });
 
+            // A repeat of an open alert was added to it as an occurrence
+            if (alert.occurrenceCount > 1) {
+                return res.status(RESPONSE_CODES.SUCCESS).json({
+                    success: true,
+                    alert: alert.toJSON(),
+                    deduplicated: true,
+                    message: `Occurrence ${alert.occurrenceCount} added to alert ${alert.alertId}`
+                });
+            }
+
             res.status(RESPONSE_CODES.CREATED).json({
                 success: true,
                 alert: alert.toJSON(),
+                deduplicated: false,
                 message: 'Alert created successfully'
             });
         } catch (error) {
@@ -38,7 +50,7 @@ class AlertController {
 
     async getAlerts(req, res) {
         try {
-            const { sourceType, severity, status, driverId, vehicleId, limit = CONFIG.DEFAULT_PAGE_LIMIT, offset = 0 } = req.query;
+            const { sourceType, severity, status, driverId, vehicleId, assignee, fingerprint, limit = CONFIG.DEFAULT_PAGE_LIMIT, offset = 0 } = req.query;
             const filters = {};
 
             if (sourceType) filters.sourceType = sourceType;
@@ -46,20 +58,21 @@ class AlertController {
             if (status) filters.status = status;
             if (driverId) filters.driverId = driverId;
             if (vehicleId) filters.vehicleId = vehicleId;
+            if (assignee) filters.assignee = assignee;
+            if (fingerprint) filters.fingerprint = fingerprint;
 
-            const allAlerts = await this.alertService.getAlerts(filters);
-            const limitNum = Math.min(parseInt(limit), CONFIG.MAX_PAGE_LIMIT);
-            const offsetNum = parseInt(offset);
-            const paginatedAlerts = allAlerts.slice(offsetNum, offsetNum + limitNum);
+            const limitNum = Math.min(parseInt(limit) || CONFIG.DEFAULT_PAGE_LIMIT, CONFIG.MAX_PAGE_LIMIT);
+            const offsetNum = Math.max(parseInt(offset) || 0, 0);
+            const { alerts, total } = await this.alertService.getAlerts(filters, { limit: limitNum, offset: offsetNum });
             
             res.json({
                 success: true,
-                alerts: paginatedAlerts.map(alert => alert.toJSON()),
+                alerts: alerts.map(alert => alert.toJSON()),
                 pagination: {
-                    total: allAlerts.length,
+                    total,
                     limit: limitNum,
                     offset: offsetNum,
-                    hasMore: offsetNum + limitNum < allAlerts.length
+                    hasMore: offsetNum + limitNum < total
                 }
             });
         } catch (error) {
@@ -71,6 +84,121 @@ class AlertController {
         }
     }
 
+    async getVehicleAlerts(req, res) {
+        try {
+            const { vehicleId } = req.params;
+            const { sourceType, severity, status, limit = CONFIG.DEFAULT_PAGE_LIMIT, offset = 0 } = req.query;
+            const filters = {};
+
+            if (sourceType) filters.sourceType = sourceType;
+            if (severity) filters.severity = severity;
+            if (status) filters.status = status;
+
+            const limitNum = Math.min(parseInt(limit) || CONFIG.DEFAULT_PAGE_LIMIT, CONFIG.MAX_PAGE_LIMIT);
+            const offsetNum = Math.max(parseInt(offset) || 0, 0);
+            const { alerts, total } = await this.alertService.getAlertsByVehicle(vehicleId, filters, { limit: limitNum, offset: offsetNum });
+
+            res.json({
+                success: true,
+                vehicleId,
+                alerts: alerts.map(alert => alert.toJSON()),
+                pagination: {
+                    total,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: offsetNum + limitNum < total
+                }
+            });
+        } catch (error) {
+            console.error('Get vehicle alerts error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async getVehicleSummary(req, res) {
+        try {
+            const { vehicleId } = req.params;
+            const summary = await this.alertService.getVehicleSummary(vehicleId);
+
+            res.json({
+                success: true,
+                summary
+            });
+        } catch (error) {
+            console.error('Get vehicle summary error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async exportAlerts(req, res) {
+        const { format = 'ndjson', sourceType, severity, status, driverId, vehicleId, assignee, fingerprint } = req.query;
+
+        if (!['ndjson', 'csv'].includes(format)) {
+            return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                success: false,
+                error: 'format must be ndjson or csv'
+            });
+        }
+
+        const filters = { sourceType, severity, status, driverId, vehicleId, assignee, fingerprint };
+        const date = new Date().toISOString().split('T')[0];
+
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="alerts-${date}.${format}"`);
+
+        try {
+            await this.alertService.exportAlerts(filters, format, (chunk) => {
+                if (res.write(chunk)) return;
+                return new Promise(resolve => res.once('drain', resolve));
+            });
+            res.end();
+        } catch (error) {
+            // Headers are already sent, so the client sees a truncated stream
+            console.error('Export alerts error:', error);
+            res.destroy(error);
+        }
+    }
+
+    async importAlerts(req, res) {
+        try {
+            const contentType = req.headers['content-type'] || '';
+            const format = req.query.format || (contentType.includes('csv') ? 'csv' : 'ndjson');
+
+            if (!['ndjson', 'csv'].includes(format)) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'format must be ndjson or csv'
+                });
+            }
+            if (typeof req.body !== 'string' || !req.body.trim()) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Request body must contain NDJSON or CSV data (Content-Type application/x-ndjson or text/csv)'
+                });
+            }
+
+            const result = await this.alertService.importAlerts(req.body, format);
+
+            res.json({
+                success: result.failed === 0,
+                ...result,
+                message: `Imported ${result.imported} alerts, ${result.failed} failed`
+            });
+        } catch (error) {
+            console.error('Import alerts error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
     async getAlertById(req, res) {
         try {
             const { alertId } = req.params;
@@ -96,12 +224,39 @@ class AlertController {
         }
     }
 
+    async explainAlert(req, res) {
+        try {
+            const explanation = await this.alertService.explainAlert(req.params.alertId);
+
+            if (!explanation) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: 'Alert not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                explanation
+            });
+        } catch (error) {
+            console.error('Explain alert error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
     async resolveAlert(req, res) {
         try {
             const { alertId } = req.params;
             const { resolution } = req.body;
 
-            const alert = await this.alertService.resolveAlert(alertId, resolution);
+            const expectedVersion = this.readVersion(req, res);
+            if (expectedVersion === null) return;
+
+            const alert = await this.alertService.resolveAlert(alertId, resolution, expectedVersion);
 
             if (!alert) {
                 return res.status(RESPONSE_CODES.NOT_FOUND).json({
@@ -116,6 +271,8 @@ class AlertController {
                 message: 'Alert resolved successfully'
             });
         } catch (error) {
+            if (error instanceof ConcurrencyError) return this.sendConflict(res, error);
+            if (error instanceof InvalidTransitionError) return this.sendInvalidTransition(res, error);
             console.error('Resolve alert error:', error);
             res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
                 success: false,
@@ -124,15 +281,39 @@ class AlertController {
         }
     }
 
-    async getStats(req, res) {
+    async acknowledgeAlert(req, res) {
         try {
-            const stats = await this.alertService.getStats();
+            const { alertId } = req.params;
+            const { operator, note } = req.body;
+
+            if (!operator || typeof operator !== 'string') {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'operator is required'
+                });
+            }
+
+            const expectedVersion = this.readVersion(req, res);
+            if (expectedVersion === null) return;
+
+            const alert = await this.alertService.acknowledgeAlert(alertId, operator, note, expectedVersion);
+
+            if (!alert) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: 'Alert not found'
+                });
+            }
+
             res.json({
                 success: true,
-                stats
+                alert: alert.toJSON(),
+                message: 'Alert acknowledged successfully'
             });
         } catch (error) {
-            console.error('Get stats error:', error);
+            if (error instanceof ConcurrencyError) return this.sendConflict(res, error);
+            if (error instanceof InvalidTransitionError) return this.sendInvalidTransition(res, error);
+            console.error('Acknowledge alert error:', error);
             res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
                 success: false,
                 error: error.message
@@ -140,15 +321,46 @@ class AlertController {
         }
     }
 
-    async getDashboard(req, res) {
+    async assignAlert(req, res) {
         try {
-            const dashboardData = await this.alertService.getDashboardData();
+            const { alertId } = req.params;
+            const { assignee, operator, note } = req.body;
+
+            // assignee null unassigns the alert
+            if (assignee === undefined || (assignee !== null && (typeof assignee !== 'string' || !assignee))) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'assignee must be an operator name or null'
+                });
+            }
+            if (!operator || typeof operator !== 'string') {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'operator is required'
+                });
+            }
+
+            const expectedVersion = this.readVersion(req, res);
+            if (expectedVersion === null) return;
+
+            const alert = await this.alertService.assignAlert(alertId, assignee, operator, note, expectedVersion);
+
+            if (!alert) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: 'Alert not found'
+                });
+            }
+
             res.json({
                 success: true,
-                dashboard: dashboardData
+                alert: alert.toJSON(),
+                message: assignee ? `Alert assigned to ${assignee}` : 'Alert unassigned'
             });
         } catch (error) {
-            console.error('Dashboard error:', error);
+            if (error instanceof ConcurrencyError) return this.sendConflict(res, error);
+            if (error instanceof InvalidTransitionError) return this.sendInvalidTransition(res, error);
+            console.error('Assign alert error:', error);
             res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
                 success: false,
                 error: error.message
@@ -156,14 +368,60 @@ class AlertController {
         }
     }
 
-    async getRules(req, res) {
+    // Snoozes until a timestamp or for durationMins minutes
+    async snoozeAlert(req, res) {
         try {
-            const rules = this.alertService.getRules();
+            const { alertId } = req.params;
+            const { until, durationMins, reason, operator } = req.body;
+
+            if ((until === undefined) === (durationMins === undefined)) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Exactly one of until or durationMins is required'
+                });
+            }
+            if (durationMins !== undefined && !(typeof durationMins === 'number' && durationMins > 0)) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'durationMins must be a positive number'
+                });
+            }
+
+            const wakeAt = until !== undefined ? new Date(until) : new Date(Date.now() + durationMins * 60 * 1000);
+            if (isNaN(wakeAt.getTime()) || wakeAt.getTime() <= Date.now()) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'until must be a valid date in the future'
+                });
+            }
+            if (!reason || typeof reason !== 'string' || !reason.trim()) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'reason is required'
+                });
+            }
+
+            const expectedVersion = this.readVersion(req, res);
+            if (expectedVersion === null) return;
+
+            const alert = await this.alertService.snoozeAlert(alertId, wakeAt.toISOString(), reason.trim(), operator, expectedVersion);
+
+            if (!alert) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: 'Alert not found'
+                });
+            }
+
             res.json({
                 success: true,
-                rules
+                alert: alert.toJSON(),
+                message: `Alert snoozed until ${alert.snooze.until}`
             });
         } catch (error) {
+            if (error instanceof ConcurrencyError) return this.sendConflict(res, error);
+            if (error instanceof InvalidTransitionError) return this.sendInvalidTransition(res, error);
+            console.error('Snooze alert error:', error);
             res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
                 success: false,
                 error: error.message
@@ -171,25 +429,39 @@ class AlertController {
         }
     }
 
-    async updateRules(req, res) {
+    async reopenAlert(req, res) {
         try {
-            const { rules } = req.body;
-            
-            if (!rules) {
+            const { alertId } = req.params;
+            const { reason, operator } = req.body;
+
+            if (!reason || typeof reason !== 'string' || !reason.trim()) {
                 return res.status(RESPONSE_CODES.BAD_REQUEST).json({
                     success: false,
-                    error: 'Rules object is required'
+                    error: 'reason is required'
                 });
             }
 
-            this.alertService.updateRules(rules);
+            const expectedVersion = this.readVersion(req, res);
+            if (expectedVersion === null) return;
+
+            const alert = await this.alertService.reopenAlert(alertId, reason.trim(), operator, expectedVersion);
+
+            if (!alert) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: 'Alert not found'
+                });
+            }
 
             res.json({
                 success: true,
-                rules: this.alertService.getRules(),
-                message: 'Rules updated successfully'
+                alert: alert.toJSON(),
+                message: 'Alert reopened successfully'
             });
         } catch (error) {
+            if (error instanceof ConcurrencyError) return this.sendConflict(res, error);
+            if (error instanceof InvalidTransitionError) return this.sendInvalidTransition(res, error);
+            console.error('Reopen alert error:', error);
             res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
                 success: false,
                 error: error.message
@@ -197,14 +469,31 @@ class AlertController {
         }
     }
 
-    async processAlerts(req, res) {
+    async renewDocument(req, res) {
         try {
-            await this.alertService.processAllAlerts();
+            const { alertId } = req.params;
+            const { metadata } = req.body;
+
+            const expectedVersion = this.readVersion(req, res);
+            if (expectedVersion === null) return;
+
+            const alert = await this.alertService.renewDocument(alertId, metadata, expectedVersion);
+
+            if (!alert) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: 'Alert not found'
+                });
+            }
+
             res.json({
                 success: true,
-                message: 'All alerts processed successfully'
+                message: 'Document renewed and alert auto-closed if applicable',
+                alert: alert.toJSON()
             });
         } catch (error) {
+            if (error instanceof ConcurrencyError) return this.sendConflict(res, error);
+            console.error('Renew document error:', error);
             res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
                 success: false,
                 error: error.message
@@ -212,13 +501,565 @@ class AlertController {
         }
     }
 
-    async healthCheck(req, res) {
+    // Optional `version` sent by the client for optimistic concurrency control: returns it parsed
+    // (undefined when absent), or sends a 400 and returns null when it is not a non-negative integer
+    readVersion(req, res) {
+        const { version } = req.body;
+        if (version === undefined || version === null || version === '') return undefined;
+
+        if (!/^\d+$/.test(String(version))) {
+            res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                success: false,
+                error: 'version must be a non-negative integer'
+            });
+            return null;
+        }
+        return parseInt(version);
+    }
+
+    // 409 with the current alert so the client can retry against fresh data
+    sendConflict(res, error) {
+        return res.status(RESPONSE_CODES.CONFLICT).json({
+            success: false,
+            error: error.message,
+            alert: error.current
+        });
+    }
+
+    // 409 when the alert's status does not allow the requested change
+    sendInvalidTransition(res, error) {
+        return res.status(RESPONSE_CODES.CONFLICT).json({
+            success: false,
+            error: error.message,
+            status: error.from
+        });
+    }
+
+    async getStats(req, res) {
+        try {
+            const stats = await this.alertService.getStats();
+            res.json({
+                success: true,
+                stats
+            });
+        } catch (error) {
+            console.error('Get stats error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async getDashboard(req, res) {
+        try {
+            const dashboardData = await this.alertService.getDashboardData();
+            res.json({
+                success: true,
+                dashboard: dashboardData
+            });
+        } catch (error) {
+            console.error('Dashboard error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async searchArchive(req, res) {
+        try {
+            const { alertId, sourceType, severity, status, driverId, vehicleId, from, to, limit = CONFIG.DEFAULT_PAGE_LIMIT, offset = 0 } = req.query;
+            const filters = {};
+
+            if (alertId) filters.alertId = alertId;
+            if (sourceType) filters.sourceType = sourceType;
+            if (severity) filters.severity = severity;
+            if (status) filters.status = status;
+            if (driverId) filters.driverId = driverId;
+            if (vehicleId) filters.vehicleId = vehicleId;
+            if (from) filters.from = from;
+            if (to) filters.to = to;
+
+            const limitNum = Math.min(parseInt(limit) || CONFIG.DEFAULT_PAGE_LIMIT, CONFIG.MAX_PAGE_LIMIT);
+            const offsetNum = Math.max(parseInt(offset) || 0, 0);
+            const { alerts, total, hasMore } = await this.alertService.searchArchive(filters, { limit: limitNum, offset: offsetNum });
+
+            res.json({
+                success: true,
+                alerts,
+                pagination: {
+                    total,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore
+                }
+            });
+        } catch (error) {
+            console.error('Search archive error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async runRetention(req, res) {
+        try {
+            const result = await this.alertService.runRetention();
+            res.json({
+                success: true,
+                ...result,
+                message: 'Retention policy applied successfully'
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async getRules(req, res) {
+        try {
+            const rules = this.alertService.getRules();
+            res.json({
+                success: true,
+                revision: this.alertService.getRuleRevision(),
+                source: this.alertService.getRuleSource(),
+                rules
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async updateRules(req, res) {
+        try {
+            const { rules, author, comment } = req.body;
+            const dryRun = req.query.dryRun === 'true';
+            
+            if (!rules) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Rules object is required'
+                });
+            }
+
+            const result = this.alertService.updateRules(rules, { dryRun, author, comment });
+
+            res.json({
+                success: true,
+                dryRun,
+                revision: result.revision,
+                rules: result.rules,
+                diff: result.diff,
+                message: dryRun ? 'Rules are valid; nothing was applied' : 'Rules updated successfully'
+            });
+        } catch (error) {
+            if (error instanceof RuleValidationError) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Rule validation failed',
+                    errors: error.errors
+                });
+            }
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async deleteRule(req, res) {
+        try {
+            const { sourceType } = req.params;
+            const { author, comment } = req.body || {};
+
+            if (!this.alertService.deleteRule(sourceType, { author, comment })) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: `No rule for source type ${sourceType}`
+                });
+            }
+
+            res.json({
+                success: true,
+                revision: this.alertService.getRuleRevision(),
+                rules: this.alertService.getRules(),
+                message: `Rule for ${sourceType} deleted`
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async saveNamedRule(req, res) {
+        try {
+            const { sourceType, ruleName } = req.params;
+            const { rule, author, comment } = req.body;
+            const dryRun = req.query.dryRun === 'true';
+
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Rule object is required'
+                });
+            }
+
+            const result = this.alertService.saveNamedRule(sourceType, ruleName, rule, { dryRun, author, comment });
+
+            res.json({
+                success: true,
+                dryRun,
+                revision: result.revision,
+                rules: result.rules,
+                diff: result.diff,
+                message: dryRun ? 'Rule is valid; nothing was applied' : `Rule '${ruleName}' for ${sourceType} saved`
+            });
+        } catch (error) {
+            if (error instanceof RuleValidationError) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Rule validation failed',
+                    errors: error.errors
+                });
+            }
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async deleteNamedRule(req, res) {
+        try {
+            const { sourceType, ruleName } = req.params;
+            const { author, comment } = req.body || {};
+
+            if (!this.alertService.deleteNamedRule(sourceType, ruleName, { author, comment })) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: `No rule named '${ruleName}' for source type ${sourceType}`
+                });
+            }
+
+            res.json({
+                success: true,
+                revision: this.alertService.getRuleRevision(),
+                rules: this.alertService.getRules(),
+                message: `Rule '${ruleName}' for ${sourceType} deleted`
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async simulateRules(req, res) {
+        try {
+            const { rules, from, to, stepMinutes, limit = CONFIG.DEFAULT_PAGE_LIMIT } = req.body;
+
+            const invalidDate = [['from', from], ['to', to]].find(([, value]) => value !== undefined && isNaN(new Date(value).getTime()));
+            if (invalidDate) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: `${invalidDate[0]} must be a valid date`
+                });
+            }
+            if (from && to && new Date(from) >= new Date(to)) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'from must be before to'
+                });
+            }
+            if (stepMinutes !== undefined && !(stepMinutes > 0)) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'stepMinutes must be a positive number'
+                });
+            }
+
+            const simulation = await this.alertService.simulateRules({
+                rules,
+                from,
+                to,
+                stepMinutes,
+                limit: Math.min(parseInt(limit) || CONFIG.DEFAULT_PAGE_LIMIT, CONFIG.MAX_PAGE_LIMIT)
+            });
+
+            res.json({
+                success: true,
+                ...simulation
+            });
+        } catch (error) {
+            if (error instanceof RuleValidationError) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Rule validation failed',
+                    errors: error.errors
+                });
+            }
+            if (error instanceof SimulationLimitError) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            console.error('Simulate rules error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async listRuleRevisions(req, res) {
+        try {
+            const { limit = CONFIG.DEFAULT_PAGE_LIMIT, offset = 0 } = req.query;
+            const limitNum = Math.min(parseInt(limit) || CONFIG.DEFAULT_PAGE_LIMIT, CONFIG.MAX_PAGE_LIMIT);
+            const offsetNum = Math.max(parseInt(offset) || 0, 0);
+            const { revisions, total } = this.alertService.listRuleRevisions({ limit: limitNum, offset: offsetNum });
+
+            res.json({
+                success: true,
+                currentRevision: this.alertService.getRuleRevision(),
+                revisions,
+                pagination: {
+                    total,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: offsetNum + limitNum < total
+                }
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async getRuleRevision(req, res) {
+        try {
+            const revision = this.alertService.getRuleRevisionDetails(parseInt(req.params.revision));
+
+            if (!revision) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: `Rule revision ${req.params.revision} not found`
+                });
+            }
+
+            res.json({
+                success: true,
+                revision
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async diffRuleRevisions(req, res) {
+        try {
+            const from = parseInt(req.query.from);
+            const to = req.query.to === undefined ? this.alertService.getRuleRevision() : parseInt(req.query.to);
+
+            if (isNaN(from) || isNaN(to)) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'from (and optionally to) must be revision numbers'
+                });
+            }
+
+            const diff = this.alertService.diffRuleRevisions(from, to);
+            if (!diff) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: `Rule revision ${from} or ${to} not found`
+                });
+            }
+
+            res.json({
+                success: true,
+                from,
+                to,
+                diff
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async reloadRules(req, res) {
+        try {
+            const outcome = this.alertService.reloadRules();
+
+            if (outcome.status === 'rejected') {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: `Rules file rejected; revision ${outcome.revision} stays active`,
+                    errors: outcome.errors
+                });
+            }
+
+            res.json({
+                success: true,
+                status: outcome.status,
+                revision: outcome.revision,
+                diff: outcome.diff,
+                message: outcome.status === 'applied' ? 'Rules reloaded from file' : 'Rules file unchanged'
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async rollbackRules(req, res) {
+        try {
+            const { author, comment } = req.body || {};
+            const result = this.alertService.rollbackRules(parseInt(req.params.revision), { author, comment });
+
+            if (!result) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: `Rule revision ${req.params.revision} not found`
+                });
+            }
+
+            res.json({
+                success: true,
+                revision: result.revision,
+                rules: result.rules,
+                diff: result.diff,
+                message: `Rolled back to revision ${req.params.revision}`
+            });
+        } catch (error) {
+            if (error instanceof RuleValidationError) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: 'Rule validation failed',
+                    errors: error.errors
+                });
+            }
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async getSuppressions(req, res) {
+        try {
+            const suppressions = await this.alertService.listSuppressions({ active: req.query.active === 'true' });
+            res.json({
+                success: true,
+                suppressions
+            });
+        } catch (error) {
+            console.error('Get suppressions error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async createSuppression(req, res) {
+        try {
+            const validationError = this.alertService.validateSuppression(req.body);
+            if (validationError) {
+                return res.status(RESPONSE_CODES.BAD_REQUEST).json({
+                    success: false,
+                    error: validationError
+                });
+            }
+
+            const suppression = await this.alertService.createSuppression(req.body);
+
+            res.status(RESPONSE_CODES.CREATED).json({
+                success: true,
+                suppression,
+                message: 'Suppression created successfully'
+            });
+        } catch (error) {
+            console.error('Create suppression error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async deleteSuppression(req, res) {
+        try {
+            const deleted = await this.alertService.deleteSuppression(req.params.suppressionId);
+
+            if (!deleted) {
+                return res.status(RESPONSE_CODES.NOT_FOUND).json({
+                    success: false,
+                    error: 'Suppression not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Suppression deleted; alerts it already suppressed stay SUPPRESSED'
+            });
+        } catch (error) {
+            console.error('Delete suppression error:', error);
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async processAlerts(req, res) {
+        try {
+            await this.alertService.processAllAlerts();
+            res.json({
+                success: true,
+                message: 'All alerts processed successfully'
+            });
+        } catch (error) {
+            res.status(RESPONSE_CODES.INTERNAL_ERROR).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async healthCheck(req, res) {
+        const storage = this.alertService.getStorageStatus();
+        const jobLease = this.alertService.getJobLeaseStatus();
+
         res.json({ 
             status: 'OK',
             timestamp: new Date().toISOString(),
             service: 'MoveInSync Enhanced Alert Management System',
             environment: process.env.NODE_ENV || 'development',
-            backgroundJobs: 'Active'
+            redis: storage.redisConnected ? 'connected' : 'disconnected',
+            storage,
+            backgroundJobs: jobLease.isLeader ? 'Active' : 'Standby',
+            jobLease
         });
     }
 }
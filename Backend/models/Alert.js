@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
-const { ALERT_STATES, SEVERITY_LEVELS, EVENT_TYPES } = require('../config/constants');
+const { ALERT_STATES, TERMINAL_STATES, ACTIVE_STATES, ALERT_TRANSITIONS, SEVERITY_LEVELS, EVENT_TYPES, CONFIG } = require('../config/constants');
+const { InvalidTransitionError } = require('../utils/errors');
 
 class Alert {
     constructor(data) {
@@ -15,6 +16,24 @@ class Alert {
         this.expiredAt = data.expiredAt || null;
         this.lastEscalatedAt = data.lastEscalatedAt || null;
         this.escalationCount = data.escalationCount || 0;
+        this.escalationTier = data.escalationTier || 0; // Step reached on the rule's escalation ladder
+        this.lastDeEscalatedAt = data.lastDeEscalatedAt || null;
+        this.correlatedAlertIds = data.correlatedAlertIds || []; // Composite alerts: the alerts a correlation rule matched
+        this.compositeAlertIds = data.compositeAlertIds || []; // Composite alerts this alert contributed to
+        this.assignee = data.assignee || null; // Operator the alert is assigned to
+        this.acknowledgedAt = data.acknowledgedAt || null;
+        this.acknowledgedBy = data.acknowledgedBy || null;
+        this.reopenedAt = data.reopenedAt || null;
+        this.reopenCount = data.reopenCount || 0;
+        this.snooze = data.snooze || null; // { until, reason, operator, previousStatus } while SNOOZED
+        this.suppressionId = data.suppressionId || null; // Suppression that muted the alert on creation
+        this.fingerprint = data.fingerprint || null; // Deduplication key; repeats within the dedup window become occurrences
+        this.occurrenceCount = data.occurrenceCount || 1;
+        this.firstSeen = data.firstSeen || this.timestamp;
+        this.lastSeen = data.lastSeen || this.timestamp;
+        this.occurrences = data.occurrences || []; // Repeats after the first occurrence: [{ seq, at, metadata }]
+        this.lastEvaluation = data.lastEvaluation || null; // Compact rule trace of the last processing run (RULE_TRACE_PERSIST)
+        this.version = data.version || 0;
         
         // Add creation event if new alert
         if (!data.alertId) {
@@ -22,36 +41,215 @@ class Alert {
         }
     }
 
-    addHistoryEvent(action, details, previousStatus = null, previousSeverity = null) {
+    // extra carries event-specific fields, e.g. the ruleRevision behind a rule action
+    addHistoryEvent(action, details, previousStatus = null, previousSeverity = null, extra = {}) {
         this.history.push({
             action,
             timestamp: new Date().toISOString(),
             details,
             previousStatus,
-            previousSeverity
+            previousSeverity,
+            ...extra
         });
     }
 
-    escalate(newSeverity, reason) {
+    // Lifecycle methods call this before changing anything; see ALERT_TRANSITIONS
+    checkTransition(to, action) {
+        if (!ALERT_TRANSITIONS[this.status].includes(to)) {
+            throw new InvalidTransitionError(this.alertId, this.status, to, action);
+        }
+    }
+
+    // A tier moves the alert along an escalation ladder; the history records the transition
+    escalate(newSeverity, reason, { tier, ...extra } = {}) {
+        this.checkTransition(ALERT_STATES.ESCALATED, 'escalate');
+
         const oldStatus = this.status;
         const oldSeverity = this.severity;
+        const oldTier = this.escalationTier;
         
         this.status = ALERT_STATES.ESCALATED;
         this.severity = newSeverity;
         this.lastEscalatedAt = new Date().toISOString();
         this.escalationCount += 1;
+        if (tier !== undefined) this.escalationTier = tier;
         
         this.addHistoryEvent(
             EVENT_TYPES.ESCALATED, 
             reason, 
             oldStatus, 
-            oldSeverity
+            oldSeverity,
+            tier !== undefined ? { ...extra, previousTier: oldTier, tier } : extra
         );
         
         console.log(` Alert ${this.alertId} escalated: ${reason}`);
     }
 
-    autoClose(reason) {
+    // Lowers severity once the condition has stabilized; the alert is no longer
+    // escalated and any escalation ladder starts again from the bottom
+    deEscalate(newSeverity, reason, extra = {}) {
+        this.checkTransition(this.acknowledgedAt ? ALERT_STATES.ACKNOWLEDGED : ALERT_STATES.OPEN, 'de-escalate');
+
+        const oldStatus = this.status;
+        const oldSeverity = this.severity;
+        const oldTier = this.escalationTier;
+
+        // An acknowledged alert stays with its operator
+        this.status = this.acknowledgedAt ? ALERT_STATES.ACKNOWLEDGED : ALERT_STATES.OPEN;
+        this.severity = newSeverity;
+        this.lastDeEscalatedAt = new Date().toISOString();
+        this.escalationTier = 0;
+
+        this.addHistoryEvent(
+            EVENT_TYPES.DE_ESCALATED,
+            reason,
+            oldStatus,
+            oldSeverity,
+            oldTier ? { ...extra, previousTier: oldTier, tier: 0 } : extra
+        );
+
+        console.log(` Alert ${this.alertId} de-escalated: ${reason}`);
+    }
+
+    // An operator has taken the alert on; rules stop escalating it
+    acknowledge(operator, note) {
+        this.checkTransition(ALERT_STATES.ACKNOWLEDGED, 'acknowledge');
+
+        const oldStatus = this.status;
+
+        this.status = ALERT_STATES.ACKNOWLEDGED;
+        this.acknowledgedAt = new Date().toISOString();
+        this.acknowledgedBy = operator;
+        this.snooze = null; // Acknowledging a snoozed alert takes it back on
+
+        this.addHistoryEvent(
+            EVENT_TYPES.ACKNOWLEDGED,
+            note || `Acknowledged by ${operator}`,
+            oldStatus,
+            null,
+            { operator }
+        );
+
+        console.log(` Alert ${this.alertId} acknowledged by ${operator}`);
+    }
+
+    // A null assignee unassigns the alert; the status does not change
+    assign(assignee, operator, note) {
+        if (this.isClosed()) throw new InvalidTransitionError(this.alertId, this.status, this.status, 'assign');
+
+        const previousAssignee = this.assignee;
+
+        this.assignee = assignee;
+
+        this.addHistoryEvent(
+            EVENT_TYPES.ASSIGNED,
+            note || (assignee ? `Assigned to ${assignee}` : `Unassigned from ${previousAssignee}`),
+            null,
+            null,
+            { operator, assignee, previousAssignee }
+        );
+
+        console.log(` Alert ${this.alertId} ${assignee ? `assigned to ${assignee}` : 'unassigned'} by ${operator}`);
+    }
+
+    // Turns a new alert into the composite raised by a correlation rule
+    linkCorrelated(alerts, reason, extra = {}) {
+        this.correlatedAlertIds = alerts.map(alert => alert.alertId);
+        this.addHistoryEvent(EVENT_TYPES.CORRELATED, reason, null, null, { ...extra, correlatedAlertIds: this.correlatedAlertIds });
+    }
+
+    linkComposite(composite, extra = {}) {
+        this.compositeAlertIds.push(composite.alertId);
+        this.addHistoryEvent(
+            EVENT_TYPES.CORRELATED,
+            `Correlated into ${composite.sourceType} alert ${composite.alertId}`,
+            null,
+            null,
+            { ...extra, compositeAlertId: composite.alertId }
+        );
+    }
+
+    // Pauses rule evaluation until `until` (ISO timestamp); snoozing again moves the wake-up time
+    snoozeUntil(until, reason, operator = null) {
+        this.checkTransition(ALERT_STATES.SNOOZED, 'snooze');
+
+        const oldStatus = this.status;
+        const previousStatus = this.snooze ? this.snooze.previousStatus : this.status;
+
+        this.status = ALERT_STATES.SNOOZED;
+        this.snooze = { until, reason, operator, previousStatus };
+
+        this.addHistoryEvent(
+            EVENT_TYPES.SNOOZED,
+            `Snoozed until ${until}: ${reason}`,
+            oldStatus,
+            null,
+            { until, ...(operator ? { operator } : {}) }
+        );
+
+        console.log(` Alert ${this.alertId} snoozed until ${until}`);
+    }
+
+    // Returns a snoozed alert to the status it was snoozed in
+    wake(reason = 'Snooze ended') {
+        const previousStatus = this.snooze ? this.snooze.previousStatus : ALERT_STATES.OPEN;
+        if (this.status !== ALERT_STATES.SNOOZED) {
+            throw new InvalidTransitionError(this.alertId, this.status, previousStatus, 'wake');
+        }
+        this.checkTransition(previousStatus, 'wake');
+
+        this.status = previousStatus;
+        this.snooze = null;
+
+        this.addHistoryEvent(EVENT_TYPES.UNSNOOZED, reason, ALERT_STATES.SNOOZED);
+
+        console.log(` Alert ${this.alertId} woke up: ${reason}`);
+    }
+
+    // New alerts matching a suppression are muted instead of evaluated
+    suppress(suppression) {
+        this.checkTransition(ALERT_STATES.SUPPRESSED, 'suppress');
+
+        const oldStatus = this.status;
+
+        this.status = ALERT_STATES.SUPPRESSED;
+        this.suppressionId = suppression.suppressionId;
+
+        this.addHistoryEvent(
+            EVENT_TYPES.SUPPRESSED,
+            `Suppressed until ${suppression.until}${suppression.reason ? `: ${suppression.reason}` : ''}`,
+            oldStatus,
+            null,
+            { suppressionId: suppression.suppressionId }
+        );
+    }
+
+    // Merges changed metadata fields; the history keeps the changes and the previous
+    // metadata so the rule simulator can replay the alert's metadata over time
+    updateMetadata(changes, reason) {
+        const previousMetadata = this.metadata;
+
+        this.metadata = { ...this.metadata, ...changes };
+
+        this.addHistoryEvent(EVENT_TYPES.METADATA_UPDATED, reason, null, null, { changes, previousMetadata });
+    }
+
+    // A repeat of the alert raised while it was still open. The alert keeps its own
+    // metadata; the newest DEDUP_MAX_OCCURRENCES repeats are kept with theirs.
+    addOccurrence(metadata, at = new Date().toISOString()) {
+        if (this.isClosed()) throw new InvalidTransitionError(this.alertId, this.status, this.status, 'add an occurrence to');
+
+        this.occurrenceCount += 1;
+        this.occurrences.push({ seq: this.occurrenceCount, at, metadata });
+
+        const maxOccurrences = parseInt(process.env.DEDUP_MAX_OCCURRENCES) || CONFIG.DEFAULT_MAX_OCCURRENCES;
+        if (this.occurrences.length > maxOccurrences) this.occurrences = this.occurrences.slice(-maxOccurrences);
+        if (new Date(at).getTime() > new Date(this.lastSeen).getTime()) this.lastSeen = at;
+    }
+
+    autoClose(reason, extra = {}) {
+        this.checkTransition(ALERT_STATES.AUTO_CLOSED, 'auto-close');
+
         const oldStatus = this.status;
         
         this.status = ALERT_STATES.AUTO_CLOSED;
@@ -59,16 +257,21 @@ class Alert {
         this.addHistoryEvent(
             EVENT_TYPES.AUTO_CLOSED, 
             reason, 
-            oldStatus
+            oldStatus,
+            null,
+            extra
         );
         
         console.log(` Alert ${this.alertId} auto-closed: ${reason}`);
     }
 
     resolve(resolution) {
+        this.checkTransition(ALERT_STATES.RESOLVED, 'resolve');
+
         const oldStatus = this.status;
         
         this.status = ALERT_STATES.RESOLVED;
+        this.snooze = null;
         this.resolution = resolution;
         this.resolvedAt = new Date().toISOString();
         
@@ -81,10 +284,46 @@ class Alert {
         console.log(` Alert ${this.alertId} resolved: ${resolution}`);
     }
 
+    // Puts a resolved or auto-closed alert back to OPEN, e.g. when the driver repeats
+    // the violation right after it was closed. Only allowed within REOPEN_WINDOW_HOURS
+    // of closing; resolution and acknowledgement are cleared, severity and tier are kept.
+    reopen(reason, operator = null) {
+        this.checkTransition(ALERT_STATES.OPEN, 'reopen');
+
+        const windowHours = parseFloat(process.env.REOPEN_WINDOW_HOURS) || CONFIG.DEFAULT_REOPEN_WINDOW_HOURS;
+        const closedAt = new Date(this.getClosedAt()).getTime();
+        if (Date.now() - closedAt > windowHours * 60 * 60 * 1000) {
+            throw new InvalidTransitionError(this.alertId, this.status, ALERT_STATES.OPEN, 'reopen', `closed more than ${windowHours} hours ago`);
+        }
+
+        const oldStatus = this.status;
+
+        this.status = ALERT_STATES.OPEN;
+        this.resolution = null;
+        this.resolvedAt = null;
+        this.acknowledgedAt = null;
+        this.acknowledgedBy = null;
+        this.reopenedAt = new Date().toISOString();
+        this.reopenCount += 1;
+
+        this.addHistoryEvent(
+            EVENT_TYPES.REOPENED,
+            reason,
+            oldStatus,
+            null,
+            operator ? { operator } : {}
+        );
+
+        console.log(` Alert ${this.alertId} reopened: ${reason}`);
+    }
+
     expire() {
+        this.checkTransition(ALERT_STATES.EXPIRED, 'expire');
+
         const oldStatus = this.status;
         
         this.status = ALERT_STATES.EXPIRED;
+        this.snooze = null;
         this.expiredAt = new Date().toISOString();
         
         this.addHistoryEvent(
@@ -96,21 +335,46 @@ class Alert {
         console.log(` Alert ${this.alertId} expired`);
     }
 
+    // Active alerts are evaluated by rules; snoozed and suppressed alerts are neither active nor closed
     isActive() {
-        return ![ALERT_STATES.RESOLVED, ALERT_STATES.AUTO_CLOSED, ALERT_STATES.EXPIRED].includes(this.status);
+        return ACTIVE_STATES.includes(this.status);
+    }
+
+    isClosed() {
+        return TERMINAL_STATES.includes(this.status);
     }
 
-    canEscalate() {
+    // When the alert reached its terminal state, or null while it is still open
+    getClosedAt() {
+        if (!this.isClosed()) return null;
+
+        const closingEvent = [...this.history].reverse().find(event => event.action === this.status);
+        if (closingEvent) return closingEvent.timestamp;
+
+        return this.resolvedAt || this.expiredAt || this.timestamp;
+    }
+
+    // now (ms) defaults to the current time; the rule simulator passes a virtual clock
+    // cooldownMinutes overrides ESCALATION_COOLDOWN_MINUTES, e.g. for an escalation tier
+    canEscalate(now = Date.now(), cooldownMinutes = process.env.ESCALATION_COOLDOWN_MINUTES || 60) {
         if (!this.lastEscalatedAt) return true;
         
-        const cooldownMs = (process.env.ESCALATION_COOLDOWN_MINUTES || 60) * 60 * 1000;
-        const timeSinceLastEscalation = Date.now() - new Date(this.lastEscalatedAt).getTime();
+        const cooldownMs = cooldownMinutes * 60 * 1000;
+        const timeSinceLastEscalation = now - new Date(this.lastEscalatedAt).getTime();
         
         return timeSinceLastEscalation > cooldownMs;
     }
 
-    getAge() {
-        return (Date.now() - new Date(this.timestamp).getTime()) / (1000 * 60 * 60 * 24);
+    // Minutes until canEscalate allows another escalation; 0 when there is no cooldown running
+    getCooldownRemaining(now = Date.now(), cooldownMinutes = process.env.ESCALATION_COOLDOWN_MINUTES || 60) {
+        if (!this.lastEscalatedAt) return 0;
+
+        const elapsedMinutes = (now - new Date(this.lastEscalatedAt).getTime()) / (60 * 1000);
+        return Math.max(0, cooldownMinutes - elapsedMinutes);
+    }
+
+    getAge(now = Date.now()) {
+        return (now - new Date(this.timestamp).getTime()) / (1000 * 60 * 60 * 24);
     }
 
     toJSON() {
@@ -127,6 +391,24 @@ class Alert {
             expiredAt: this.expiredAt,
             lastEscalatedAt: this.lastEscalatedAt,
             escalationCount: this.escalationCount,
+            escalationTier: this.escalationTier,
+            lastDeEscalatedAt: this.lastDeEscalatedAt,
+            correlatedAlertIds: this.correlatedAlertIds,
+            compositeAlertIds: this.compositeAlertIds,
+            assignee: this.assignee,
+            acknowledgedAt: this.acknowledgedAt,
+            acknowledgedBy: this.acknowledgedBy,
+            reopenedAt: this.reopenedAt,
+            reopenCount: this.reopenCount,
+            snooze: this.snooze,
+            suppressionId: this.suppressionId,
+            fingerprint: this.fingerprint,
+            occurrenceCount: this.occurrenceCount,
+            firstSeen: this.firstSeen,
+            lastSeen: this.lastSeen,
+            occurrences: this.occurrences,
+            lastEvaluation: this.lastEvaluation,
+            version: this.version,
             age: Math.floor(this.getAge())
         };
     }
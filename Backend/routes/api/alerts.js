@@ -6,41 +6,49 @@ module.exports = (alertController) => {
     router.post('/alerts', (req, res) => alertController.createAlert(req, res));
     router.get('/alerts', (req, res) => alertController.getAlerts(req, res));
     router.get('/alerts/stats', (req, res) => alertController.getStats(req, res));
+    router.get('/alerts/export', (req, res) => alertController.exportAlerts(req, res));
+    router.post('/alerts/import', express.text({
+        type: ['application/x-ndjson', 'application/ndjson', 'text/csv', 'text/plain'],
+        limit: process.env.IMPORT_MAX_BODY_SIZE || '20mb'
+    }), (req, res) => alertController.importAlerts(req, res));
     router.get('/alerts/:alertId', (req, res) => alertController.getAlertById(req, res));
+    router.get('/alerts/:alertId/explain', (req, res) => alertController.explainAlert(req, res));
     router.patch('/alerts/:alertId/resolve', (req, res) => alertController.resolveAlert(req, res));
+    router.patch('/alerts/:alertId/ack', (req, res) => alertController.acknowledgeAlert(req, res));
+    router.patch('/alerts/:alertId/assign', (req, res) => alertController.assignAlert(req, res));
+    router.post('/alerts/:alertId/snooze', (req, res) => alertController.snoozeAlert(req, res));
+    router.patch('/alerts/:alertId/reopen', (req, res) => alertController.reopenAlert(req, res));
+    router.patch('/alerts/:alertId/renew', (req, res) => alertController.renewDocument(req, res));
     router.post('/alerts/process', (req, res) => alertController.processAlerts(req, res));
 
+    // Vehicle Routes
+    router.get('/vehicles/:vehicleId/alerts', (req, res) => alertController.getVehicleAlerts(req, res));
+    router.get('/vehicles/:vehicleId/summary', (req, res) => alertController.getVehicleSummary(req, res));
+
+    // Archive Routes
+    router.get('/archive/alerts', (req, res) => alertController.searchArchive(req, res));
+    router.post('/archive/run', (req, res) => alertController.runRetention(req, res));
+
+    // Suppression Routes
+    router.get('/suppressions', (req, res) => alertController.getSuppressions(req, res));
+    router.post('/suppressions', (req, res) => alertController.createSuppression(req, res));
+    router.delete('/suppressions/:suppressionId', (req, res) => alertController.deleteSuppression(req, res));
+
     // Dashboard Routes
     router.get('/dashboard', (req, res) => alertController.getDashboard(req, res));
 
     // Rules Management Routes
     router.get('/rules', (req, res) => alertController.getRules(req, res));
     router.put('/rules', (req, res) => alertController.updateRules(req, res));
-    // Document Renewal Route
-router.patch('/alerts/:alertId/renew', async (req, res) => {
-    const { alertId } = req.params;
-    const { metadata } = req.body;
-
-    try {
-        const alert = await alertController.alertService.getAlertById(alertId);
-        if (!alert) {
-            return res.status(404).json({ success: false, error: 'Alert not found' });
-        }
-
-        alert.metadata = { ...alert.metadata, ...metadata, document_valid: true };
-        await alertController.alertService.storageManager.saveAlert(alert);
-        await alertController.alertService.processAlert(alert);
-
-        res.json({
-            success: true,
-            message: 'Document renewed and alert auto-closed if applicable',
-            alert: alert.toJSON()
-        });
-    } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
-});
-
+    router.post('/rules/simulate', (req, res) => alertController.simulateRules(req, res));
+    router.post('/rules/reload', (req, res) => alertController.reloadRules(req, res));
+    router.delete('/rules/:sourceType', (req, res) => alertController.deleteRule(req, res));
+    router.put('/rules/:sourceType/:ruleName', (req, res) => alertController.saveNamedRule(req, res));
+    router.delete('/rules/:sourceType/:ruleName', (req, res) => alertController.deleteNamedRule(req, res));
+    router.get('/rules/revisions', (req, res) => alertController.listRuleRevisions(req, res));
+    router.get('/rules/revisions/diff', (req, res) => alertController.diffRuleRevisions(req, res));
+    router.get('/rules/revisions/:revision', (req, res) => alertController.getRuleRevision(req, res));
+    router.post('/rules/revisions/:revision/rollback', (req, res) => alertController.rollbackRules(req, res));
 
     return router;
 };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { ACTIVE_STATES, ALERT_STATES } = require('../config/constants');
+const { groupKey } = require('../utils/metadata');
+
+// Alerts a repeat can be folded into; suppressed and closed alerts never absorb repeats
+const DEDUP_TARGET_STATES = [...ACTIVE_STATES, ALERT_STATES.SNOOZED];
+
+// Alert deduplication. Fingerprints come from DEDUP_FILE_PATH, keyed by source type:
+//   { "overspeed": { "fingerprint": ["driverId", "location"], "window_mins": 30 } }
+// An alert's fingerprint is its source type plus the values at those metadata paths
+// (none when a value is missing). A new alert with the fingerprint of an active or
+// snoozed alert created up to window_mins before it becomes an occurrence of that
+// alert instead; the window counts from the first occurrence, so repeats cannot
+// keep an alert open forever.
+class AlertDeduplicator {
+    constructor(storageManager, filePath = process.env.DEDUP_FILE_PATH || 'dedup.json') {
+        this.storageManager = storageManager;
+        this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', filePath);
+        this.policies = this.loadPolicies();
+    }
+
+    loadPolicies() {
+        const policies = {};
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))).forEach(([sourceType, policy]) => {
+                    const error = this.validate(policy);
+                    if (error) {
+                        console.warn(` Ignoring dedup policy for ${sourceType}: ${error}`);
+                        return;
+                    }
+                    policies[sourceType] = { fingerprint: [].concat(policy.fingerprint), windowMs: policy.window_mins * 60 * 1000 };
+                });
+            }
+        } catch (error) {
+            console.error('Error loading dedup policies:', error);
+        }
+
+        return policies;
+    }
+
+    // Returns an error message, or null when the policy is valid
+    validate(policy) {
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return 'policy must be an object';
+
+        const paths = [].concat(policy.fingerprint || []);
+        if (paths.length === 0 || !paths.every(field => typeof field === 'string' && field)) {
+            return 'fingerprint must be a metadata path or an array of metadata paths';
+        }
+        if (typeof policy.window_mins !== 'number' || !(policy.window_mins > 0)) return 'window_mins must be a positive number';
+
+        return null;
+    }
+
+    // How long after its creation an alert of the type can still gain occurrences (ms)
+    getWindowMs(sourceType) {
+        return this.policies[sourceType] ? this.policies[sourceType].windowMs : 0;
+    }
+
+    fingerprintOf(alert) {
+        const policy = this.policies[alert.sourceType];
+        if (!policy) return null;
+
+        const value = groupKey(alert.metadata, policy.fingerprint);
+        return value === null ? null : `${alert.sourceType}:${value}`;
+    }
+
+    // The newest alert the new alert repeats, or null
+    async findOriginal(alert) {
+        if (!alert.fingerprint) return null;
+
+        const at = new Date(alert.timestamp).getTime();
+        const { alerts } = await this.storageManager.queryAlerts({
+            fingerprint: alert.fingerprint,
+            status: DEDUP_TARGET_STATES,
+            from: new Date(at - this.getWindowMs(alert.sourceType)).toISOString(),
+            to: new Date(at + 1).toISOString()
+        }, { limit: 1 });
+
+        return alerts[0] || null;
+    }
+}
+
+module.exports = AlertDeduplicator;
@@ -1,14 +1,36 @@
 const Alert = require('../models/Alert');
 const RuleEngine = require('./RuleEngine');
 const AlertStorageManager = require('./AlertStorageManager');
-const { ALERT_STATES, SEVERITY_LEVELS } = require('../config/constants');
+const ArchiveService = require('./ArchiveService');
+const AlertTransferService = require('./AlertTransferService');
+const JobLease = require('./JobLease');
+const RuleSimulator = require('./rules/RuleSimulator');
+const SuppressionStore = require('./SuppressionStore');
+const AlertDeduplicator = require('./AlertDeduplicator');
+const { ALERT_STATES, ACTIVE_STATES, PAUSED_STATES, SEVERITY_LEVELS, CONFIG } = require('../config/constants');
+const { ConcurrencyError } = require('../utils/errors');
 const cron = require('node-cron');
 
+// Source types tracked as open work items on a vehicle summary
+const VEHICLE_ITEM_SOURCE_TYPES = {
+    maintenance: ['vehicle_maintenance'],
+    documents: ['document_expiry', 'compliance']
+};
+
 class AlertService {
     constructor(redisManager) {
         this.storageManager = new AlertStorageManager(redisManager);
         this.ruleEngine = new RuleEngine();
-        this.processingQueue = new Set();
+        this.archiveService = new ArchiveService(this.storageManager);
+        this.transferService = new AlertTransferService(this.storageManager);
+        this.ruleSimulator = new RuleSimulator(this.storageManager, () => this.ruleEngine.getRules());
+        this.suppressions = new SuppressionStore(this.storageManager.adapterType === 'redis' ? redisManager : null);
+        this.deduplicator = new AlertDeduplicator(this.storageManager);
+        this.processingQueue = new Set(); // In-process only; JobLease keeps other instances out
+        this.windowSync = null; // { revision, ready } of the rules the storage windows were built for
+        this.persistTrace = process.env.RULE_TRACE_PERSIST === 'true';
+        // Instances only share alerts while the redis adapter is serving them; the fallback is per instance
+        this.jobLease = new JobLease(redisManager, () => this.storageManager.adapterType === 'redis' && !this.storageManager.isDegraded());
         
         this.initBackgroundJobs();
     }
@@ -17,41 +39,146 @@ class AlertService {
         const intervalMinutes = process.env.BACKGROUND_JOB_INTERVAL_MINUTES || 2;
         const cronExpression = `*/${intervalMinutes} * * * *`;
         
+        // Only the instance holding the job lease runs a cycle
         cron.schedule(cronExpression, async () => {
-            console.log(' Running background alert processing...');
-            await this.processAllAlerts();
-            await this.expireOldAlerts();
+            try {
+                await this.jobLease.runExclusive('alert-processing', async () => {
+                    console.log(' Running background alert processing...');
+                    await this.processAllAlerts();
+                    await this.expireOldAlerts();
+                });
+            } catch (error) {
+                console.error(' Error running background alert processing:', error);
+            }
         });
 
         console.log(` Background job scheduled every ${intervalMinutes} minutes`);
+
+        const archiveCron = process.env.ARCHIVE_JOB_CRON || '0 * * * *';
+        cron.schedule(archiveCron, async () => {
+            try {
+                await this.jobLease.runExclusive('retention', () => this.runRetention());
+            } catch (error) {
+                console.error(' Error running retention:', error);
+            }
+        });
     }
 
+    // Returns the new alert, or the alert it repeats (occurrenceCount above 1)
     async createAlert(alertData) {
         const alert = new Alert(alertData);
+        alert.fingerprint = this.deduplicator.fingerprintOf(alert);
+        await this.syncWindows();
+
+        // Suppressed alerts are kept for the record but never evaluated or correlated
+        const suppression = await this.suppressions.match(alert);
+        if (suppression) {
+            alert.suppress(suppression);
+            await this.storageManager.saveAlert(alert);
+            console.log(` Alert ${alert.alertId} suppressed by ${suppression.suppressionId}`);
+            return alert;
+        }
+
+        const repeated = await this.addOccurrence(alert);
+        if (repeated) return repeated;
+
         await this.storageManager.saveAlert(alert);
         
         // Process immediately after creation
         await this.processAlert(alert);
+        await this.correlateAlert(alert);
         
         return alert;
     }
 
+    // Folds a repeat into the open alert with the same fingerprint and re-evaluates that
+    // alert, whose count windows now include the new occurrence. Returns null when the
+    // alert repeats none (or that one closed meanwhile), so it is raised on its own.
+    async addOccurrence(alert) {
+        const original = await this.deduplicator.findOriginal(alert);
+        if (!original) return null;
+
+        const updated = await this.updateAlert(original.alertId, (current) => {
+            if (current.isClosed()) return false;
+            current.addOccurrence(alert.metadata, alert.timestamp);
+        }, { initial: original });
+        if (!updated || updated.isClosed()) return null;
+
+        console.log(` Alert ${updated.alertId} repeated (${updated.occurrenceCount} occurrences)`);
+        await this.processAlert(updated);
+        return updated;
+    }
+
+    // Raises a composite alert for each correlation rule the new alert completes.
+    // Composites are created like any other alert, so they are processed, can
+    // complete further correlations and follow their own rule's lifecycle.
+    async correlateAlert(alert) {
+        try {
+            const scope = this.ruleEngine.getCorrelationScope(alert.sourceType);
+            if (!scope) return;
+
+            const now = Date.now();
+            const { alerts: candidates } = await this.storageManager.queryAlerts({
+                sourceType: scope.sourceTypes,
+                status: ACTIVE_STATES,
+                from: new Date(now - scope.windowMins * 60 * 1000).toISOString()
+            });
+
+            for (const match of this.ruleEngine.findCorrelations(alert, candidates, now)) {
+                const composite = new Alert({ sourceType: match.sourceType, severity: match.severity, metadata: match.metadata });
+                composite.linkCorrelated(match.alerts, match.reason, { ruleRevision: match.ruleRevision });
+
+                for (const contributor of match.alerts) {
+                    await this.updateAlert(contributor.alertId, current => {
+                        current.linkComposite(composite, { ruleRevision: match.ruleRevision });
+                    });
+                }
+
+                console.log(` Composite ${match.sourceType} alert ${composite.alertId}: ${match.reason}`);
+                await this.storageManager.saveAlert(composite);
+                await this.processAlert(composite);
+                await this.correlateAlert(composite);
+            }
+        } catch (error) {
+            console.error(`Error correlating alert ${alert.alertId}:`, error);
+        }
+    }
+
    async processAlert(alert) {
     if (this.processingQueue.has(alert.alertId)) return; // Prevent duplicate processing
+    if (!alert.isActive()) return; // Closed alerts only change through the API (e.g. reopen)
     
     this.processingQueue.add(alert.alertId);
     
     try {
-        const allAlerts = await this.storageManager.getAllAlerts();
-        const action = await this.ruleEngine.evaluateAlert(alert, allAlerts);
-        
-        if (action) {
-            await this.executeAction(alert, action);
-            await this.storageManager.saveAlert(alert);
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.syncWindows();
+                const now = Date.now();
+                const trace = this.persistTrace ? [] : null;
+                const action = await this.ruleEngine.evaluateAlert(alert, this.storageManager, now, trace);
+                
+                // With RULE_TRACE_PERSIST every run is saved with a compact trace, not only runs that act
+                if (trace) alert.lastEvaluation = this.compactTrace(trace, action, now);
+
+                if (action || trace) {
+                    if (action) await this.executeAction(alert, action);
+                    await this.storageManager.saveAlert(alert);
 
-            //  Log auto-close here
-            if (alert.status === ALERT_STATES.AUTO_CLOSED) {
-                console.log(` Auto-closed alert ${alert.alertId} stored successfully`);
+                    //  Log auto-close here
+                    if (alert.status === ALERT_STATES.AUTO_CLOSED) {
+                        console.log(` Auto-closed alert ${alert.alertId} stored successfully`);
+                    }
+                }
+                return;
+            } catch (error) {
+                if (!(error instanceof ConcurrencyError) || attempt >= CONFIG.MAX_SAVE_RETRIES) throw error;
+
+                // Another writer saved this alert since it was loaded: re-evaluate the current copy
+                const current = await this.storageManager.getAlert(alert.alertId);
+                if (!current) return;
+                Object.assign(alert, current);
+                if (!alert.isActive()) return;
             }
         }
     } catch (error) {
@@ -62,21 +189,87 @@ class AlertService {
 }
 
 
+    // Points the storage windows at the current rules; the adapters only rebuild
+    // them when a rule change altered which groups and horizons they track
+    async syncWindows() {
+        const revision = this.ruleEngine.getRevision();
+        if (!this.windowSync || this.windowSync.revision !== revision) {
+            const specs = this.ruleEngine.getWindowSpecs()
+                .map(spec => ({ ...spec, dedupWindowMs: this.deduplicator.getWindowMs(spec.sourceType) }));
+            this.windowSync = { revision, ready: this.storageManager.configureWindows(specs) };
+        }
+        await this.windowSync.ready;
+    }
+
+    compactTrace(trace, action, now) {
+        return {
+            at: new Date(now).toISOString(),
+            ruleRevision: this.ruleEngine.getRevision(),
+            outcome: action ? action.type : null,
+            checks: trace.map(({ check, passed, summary }) => ({ check, passed, summary }))
+        };
+    }
+
+    // Evaluates the alert's rule without acting on it and returns every check performed
+    async explainAlert(alertId) {
+        const alert = await this.storageManager.getAlert(alertId);
+        if (!alert) return null;
+
+        await this.syncWindows();
+        const now = Date.now();
+        const checks = [];
+        const action = await this.ruleEngine.evaluateAlert(alert, this.storageManager, now, checks);
+
+        return {
+            alertId,
+            evaluatedAt: new Date(now).toISOString(),
+            ruleRevision: this.ruleEngine.getRevision(),
+            status: alert.status,
+            active: alert.isActive(),
+            outcome: action ? {
+                type: action.type,
+                newSeverity: action.newSeverity || null,
+                reason: action.reason,
+                ruleName: action.ruleName || null,
+                ruleVariant: action.ruleVariant || null
+            } : null,
+            checks,
+            lastEvaluation: alert.lastEvaluation
+        };
+    }
+
     async executeAction(alert, action) {
+        // History events record the rule revision and, where they apply, the named rule and scheduled variant
+        const extra = { ruleRevision: action.ruleRevision };
+        if (action.ruleName) extra.ruleName = action.ruleName;
+        if (action.ruleVariant) extra.ruleVariant = action.ruleVariant;
+
         switch (action.type) {
-            case 'escalate':
-                alert.escalate(action.newSeverity, action.reason);
+            case 'escalate': {
+                if (action.tier !== undefined) extra.tier = action.tier;
+                if (action.notify) extra.notify = action.notify;
+
+                alert.escalate(action.newSeverity, action.reason, extra);
+                if (action.notify) {
+                    console.log(` Notify ${action.notify}: alert ${alert.alertId} reached ${action.tierName}`);
+                }
+                break;
+            }
+            case 'de_escalate':
+                alert.deEscalate(action.newSeverity, action.reason, extra);
                 break;
             case 'auto_close':
-                alert.autoClose(action.reason);
+                alert.autoClose(action.reason, extra);
                 break;
         }
     }
 
     async processAllAlerts() {
+        // Alerts whose snooze ended are evaluated in this same run
+        await this.wakeSnoozedAlerts();
+
         try {
-            const alerts = await this.storageManager.getAllAlerts();
-            const activeAlerts = alerts.filter(alert => alert.isActive());
+            const { alerts: activeAlerts } = await this.storageManager.queryAlerts({ status: ACTIVE_STATES });
             
             console.log(`Processing ${activeAlerts.length} active alerts...`);
             
@@ -90,20 +283,46 @@ class AlertService {
         }
     }
 
+    async wakeSnoozedAlerts() {
+        try {
+            const now = Date.now();
+            const { alerts } = await this.storageManager.queryAlerts({ status: ALERT_STATES.SNOOZED });
+            let wokenCount = 0;
+
+            for (const alert of alerts.filter(candidate => new Date(candidate.snooze.until).getTime() <= now)) {
+                const woken = await this.updateAlert(alert.alertId, (current) => {
+                    if (current.status !== ALERT_STATES.SNOOZED) return false;
+                    current.wake(`Snooze ended (${current.snooze.reason})`);
+                }, { initial: alert });
+                if (woken && woken.status !== ALERT_STATES.SNOOZED) wokenCount++;
+            }
+
+            if (wokenCount > 0) {
+                console.log(` Woke ${wokenCount} snoozed alerts`);
+            }
+        } catch (error) {
+            console.error(' Error waking snoozed alerts:', error);
+        }
+    }
+
     async expireOldAlerts() {
         try {
             const expiryDays = process.env.ALERT_EXPIRY_DAYS || 30;
             const expiryTime = new Date(Date.now() - (expiryDays * 24 * 60 * 60 * 1000));
             
-            const alerts = await this.storageManager.getAllAlerts();
+            // Snoozed and suppressed alerts expire like any other open alert
+            const { alerts } = await this.storageManager.queryAlerts({
+                status: [...ACTIVE_STATES, ...PAUSED_STATES],
+                to: expiryTime.toISOString()
+            });
             let expiredCount = 0;
             
             for (const alert of alerts) {
-                if (alert.isActive() && new Date(alert.timestamp) < expiryTime) {
-                    alert.expire();
-                    await this.storageManager.saveAlert(alert);
-                    expiredCount++;
-                }
+                const expired = await this.updateAlert(alert.alertId, (current) => {
+                    if (current.isClosed()) return false;
+                    current.expire();
+                }, { initial: alert });
+                if (expired && expired.status === ALERT_STATES.EXPIRED) expiredCount++;
             }
             
             if (expiredCount > 0) {
@@ -114,85 +333,218 @@ class AlertService {
         }
     }
 
-    async getAlerts(filters = {}) {
-        const alerts = await this.storageManager.getAllAlerts();
-        let filteredAlerts = alerts;
+    // Returns { alerts, total } newest first; filtering and pagination happen in the store
+    async getAlerts(filters = {}, pagination = {}) {
+        return await this.storageManager.queryAlerts(this.buildStorageFilters(filters), pagination);
+    }
 
-        if (filters.sourceType) {
-            filteredAlerts = filteredAlerts.filter(alert => alert.sourceType === filters.sourceType);
-        }
-        if (filters.severity) {
-            filteredAlerts = filteredAlerts.filter(alert => alert.severity === filters.severity);
-        }
-        if (filters.status) {
-            filteredAlerts = filteredAlerts.filter(alert => alert.status === filters.status);
-        }
-        if (filters.driverId) {
-            filteredAlerts = filteredAlerts.filter(alert => alert.metadata.driverId === filters.driverId);
-        }
+    buildStorageFilters(filters) {
+        const storageFilters = {};
+
+        if (filters.sourceType) storageFilters.sourceType = filters.sourceType;
+        if (filters.severity) storageFilters.severity = filters.severity;
+        if (filters.status) storageFilters.status = filters.status;
+        if (filters.driverId) storageFilters.driverId = filters.driverId;
+        if (filters.vehicleId) storageFilters.vehicleId = filters.vehicleId;
+        if (filters.assignee) storageFilters.assignee = filters.assignee;
+        if (filters.fingerprint) storageFilters.fingerprint = filters.fingerprint;
+
+        return storageFilters;
+    }
+
+    async exportAlerts(filters, format, write) {
+        return await this.transferService.exportAlerts(this.buildStorageFilters(filters), format, write);
+    }
+
+    async importAlerts(text, format) {
+        return await this.transferService.importAlerts(text, format);
+    }
 
-        return filteredAlerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    async getAlertsByVehicle(vehicleId, filters = {}, pagination = {}) {
+        return await this.getAlerts({ ...filters, vehicleId }, pagination);
+    }
+
+    async getVehicleSummary(vehicleId) {
+        const { alerts } = await this.storageManager.queryAlerts({ vehicleId });
+        const activeAlerts = alerts.filter(alert => alert.isActive());
+
+        const severityMix = {};
+        Object.values(SEVERITY_LEVELS).forEach(severity => {
+            severityMix[severity] = activeAlerts.filter(alert => alert.severity === severity).length;
+        });
+
+        const toOpenItem = alert => ({
+            alertId: alert.alertId,
+            sourceType: alert.sourceType,
+            status: alert.status,
+            severity: alert.severity,
+            timestamp: alert.timestamp,
+            age: Math.floor(alert.getAge())
+        });
+
+        const openItems = {};
+        Object.entries(VEHICLE_ITEM_SOURCE_TYPES).forEach(([category, sourceTypes]) => {
+            openItems[category] = activeAlerts
+                .filter(alert => sourceTypes.includes(alert.sourceType))
+                .map(toOpenItem);
+        });
+
+        const lastEscalated = alerts
+            .filter(alert => alert.lastEscalatedAt)
+            .sort((a, b) => new Date(b.lastEscalatedAt) - new Date(a.lastEscalatedAt))[0];
+
+        return {
+            vehicleId,
+            totalAlerts: alerts.length,
+            activeCount: activeAlerts.length,
+            severityMix,
+            openItems,
+            lastEscalation: lastEscalated ? {
+                alertId: lastEscalated.alertId,
+                sourceType: lastEscalated.sourceType,
+                severity: lastEscalated.severity,
+                escalatedAt: lastEscalated.lastEscalatedAt
+            } : null
+        };
     }
 
     async getAlertById(alertId) {
         return await this.storageManager.getAlert(alertId);
     }
 
-    async resolveAlert(alertId, resolution) {
-        const alert = await this.storageManager.getAlert(alertId);
+    // Loads, mutates and saves an alert, retrying on concurrent modification.
+    // `mutate` may return false to skip the save. When `expectedVersion` is given
+    // (API callers), a version mismatch is reported as a ConcurrencyError instead.
+    async updateAlert(alertId, mutate, { expectedVersion, initial } = {}) {
+        let alert = initial || await this.storageManager.getAlert(alertId);
+
+        for (let attempt = 0; ; attempt++) {
+            if (!alert) return null;
+            if (expectedVersion !== undefined && alert.version !== expectedVersion) {
+                throw new ConcurrencyError(alertId, expectedVersion, alert.version, alert.toJSON());
+            }
+
+            if (await mutate(alert) === false) return alert;
+
+            try {
+                await this.storageManager.saveAlert(alert);
+                return alert;
+            } catch (error) {
+                if (!(error instanceof ConcurrencyError) || expectedVersion !== undefined || attempt >= CONFIG.MAX_SAVE_RETRIES) {
+                    throw error;
+                }
+                alert = await this.storageManager.getAlert(alertId);
+            }
+        }
+    }
+
+    async resolveAlert(alertId, resolution, expectedVersion) {
+        return await this.updateAlert(alertId, (alert) => {
+            alert.resolve(resolution);
+        }, { expectedVersion });
+    }
+
+    // Acknowledging again is a no-op
+    async acknowledgeAlert(alertId, operator, note, expectedVersion) {
+        return await this.updateAlert(alertId, (alert) => {
+            if (alert.status === ALERT_STATES.ACKNOWLEDGED) return false;
+            alert.acknowledge(operator, note);
+        }, { expectedVersion });
+    }
+
+    // assignee null unassigns; assigning to the current assignee is a no-op
+    async assignAlert(alertId, assignee, operator, note, expectedVersion) {
+        return await this.updateAlert(alertId, (alert) => {
+            if (!alert.isClosed() && alert.assignee === assignee) return false;
+            alert.assign(assignee, operator, note);
+        }, { expectedVersion });
+    }
+
+    // until is an ISO timestamp in the future; the background job wakes the alert then
+    async snoozeAlert(alertId, until, reason, operator, expectedVersion) {
+        return await this.updateAlert(alertId, (alert) => {
+            alert.snoozeUntil(until, reason, operator);
+        }, { expectedVersion });
+    }
+
+    async listSuppressions(options) {
+        return await this.suppressions.list(options);
+    }
+
+    validateSuppression(data) {
+        return this.suppressions.validate(data);
+    }
+
+    async createSuppression(data) {
+        const suppression = await this.suppressions.create(data);
+        console.log(` Suppression ${suppression.suppressionId} created for ${suppression.sourceTypes.join(', ')} until ${suppression.until}`);
+        return suppression;
+    }
+
+    async deleteSuppression(suppressionId) {
+        return await this.suppressions.delete(suppressionId);
+    }
+
+    async reopenAlert(alertId, reason, operator, expectedVersion) {
+        return await this.updateAlert(alertId, (alert) => {
+            alert.reopen(reason, operator);
+        }, { expectedVersion });
+    }
+
+    async renewDocument(alertId, metadata, expectedVersion) {
+        const alert = await this.updateAlert(alertId, (current) => {
+            current.updateMetadata({ ...metadata, document_valid: true }, 'Document renewed');
+        }, { expectedVersion });
         if (!alert) return null;
 
-        alert.resolve(resolution);
-        await this.storageManager.saveAlert(alert);
-        
+        await this.processAlert(alert);
         return alert;
     }
 
     async getStats() {
-        const alerts = await this.storageManager.getAllAlerts();
+        const summary = await this.storageManager.getSummary();
+        const countsFor = (field) => summary.byField[field] || {};
         
         const stats = {
-            total: alerts.length,
+            total: summary.total,
             byStatus: {},
             bySeverity: {},
-            bySourceType: {},
-            activeCount: alerts.filter(alert => alert.isActive()).length,
+            bySourceType: { ...countsFor('sourceType') },
+            activeCount: ACTIVE_STATES.reduce((sum, status) => sum + (countsFor('status')[status] || 0), 0),
             avgAge: 0
         };
 
-        // Calculate statistics
         Object.values(ALERT_STATES).forEach(status => {
-            stats.byStatus[status] = alerts.filter(alert => alert.status === status).length;
+            stats.byStatus[status] = countsFor('status')[status] || 0;
         });
 
         Object.values(SEVERITY_LEVELS).forEach(severity => {
-            stats.bySeverity[severity] = alerts.filter(alert => alert.severity === severity).length;
-        });
-
-        const sourceTypes = [...new Set(alerts.map(alert => alert.sourceType))];
-        sourceTypes.forEach(sourceType => {
-            stats.bySourceType[sourceType] = alerts.filter(alert => alert.sourceType === sourceType).length;
+            stats.bySeverity[severity] = countsFor('severity')[severity] || 0;
         });
 
-        // Calculate average age
-        if (alerts.length > 0) {
-            const totalAge = alerts.reduce((sum, alert) => sum + alert.getAge(), 0);
-            stats.avgAge = Math.round(totalAge / alerts.length * 100) / 100;
+        // Average age from the sum of alert timestamps kept by the store
+        if (summary.total > 0) {
+            const avgTimestamp = summary.timestampSum / summary.total;
+            const avgAge = (Date.now() - avgTimestamp) / (1000 * 60 * 60 * 24);
+            stats.avgAge = Math.round(avgAge * 100) / 100;
         }
 
         return stats;
     }
 
     async getDashboardData() {
-        const alerts = await this.storageManager.getAllAlerts();
-        const topDriversLimit = process.env.TOP_DRIVERS_LIMIT || 5;
-        const recentAlertsLimit = process.env.RECENT_ALERTS_LIMIT || 10;
+        const topDriversLimit = parseInt(process.env.TOP_DRIVERS_LIMIT) || 5;
+        const topVehiclesLimit = parseInt(process.env.TOP_VEHICLES_LIMIT) || 5;
+        const recentAlertsLimit = parseInt(process.env.RECENT_ALERTS_LIMIT) || 10;
+
+        // Only active alerts are loaded; everything else is counted by the store
+        const { alerts: activeAlerts } = await this.storageManager.queryAlerts({ status: ACTIVE_STATES });
 
         // Driver alert counts
         const driverAlertCounts = {};
         const vehicleAlertCounts = {};
         
-        alerts.filter(alert => alert.isActive()).forEach(alert => {
+        activeAlerts.forEach(alert => {
             if (alert.metadata.driverId) {
                 driverAlertCounts[alert.metadata.driverId] = (driverAlertCounts[alert.metadata.driverId] || 0) + 1;
             }
@@ -207,15 +559,20 @@ class AlertService {
             .slice(0, topDriversLimit)
             .map(([driverId, count]) => ({ driverId, alertCount: count }));
 
+        // Top vehicles with most alerts
+        const topVehicles = Object.entries(vehicleAlertCounts)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, topVehiclesLimit)
+            .map(([vehicleId, count]) => ({ vehicleId, alertCount: count }));
+
         // Recent auto-closed alerts
-        const recentAutoClosed = alerts
-            .filter(alert => alert.status === ALERT_STATES.AUTO_CLOSED)
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, recentAlertsLimit)
-            .map(alert => alert.toJSON());
+        const { alerts: autoClosedAlerts } = await this.storageManager.queryAlerts(
+            { status: ALERT_STATES.AUTO_CLOSED },
+            { limit: recentAlertsLimit }
+        );
+        const recentAutoClosed = autoClosedAlerts.map(alert => alert.toJSON());
 
         // Severity distribution for active alerts
-        const activeAlerts = alerts.filter(alert => alert.isActive());
         const severityDistribution = {
             [SEVERITY_LEVELS.CRITICAL]: activeAlerts.filter(alert => alert.severity === SEVERITY_LEVELS.CRITICAL).length,
             [SEVERITY_LEVELS.HIGH]: activeAlerts.filter(alert => alert.severity === SEVERITY_LEVELS.HIGH).length,
@@ -230,40 +587,107 @@ class AlertService {
             return date.toISOString().split('T')[0];
         }).reverse();
 
-        const alertTrends = last7Days.map(date => {
-            const dayAlerts = alerts.filter(alert => 
-                alert.timestamp.startsWith(date)
-            );
+        const alertTrends = await Promise.all(last7Days.map(async (date) => {
+            const day = this.getDayRange(date);
             return {
                 date,
-                count: dayAlerts.length,
-                escalated: dayAlerts.filter(alert => alert.status === ALERT_STATES.ESCALATED).length,
-                autoClosed: dayAlerts.filter(alert => alert.status === ALERT_STATES.AUTO_CLOSED).length
+                count: await this.storageManager.countAlerts(day),
+                escalated: await this.storageManager.countAlerts({ ...day, status: ALERT_STATES.ESCALATED }),
+                autoClosed: await this.storageManager.countAlerts({ ...day, status: ALERT_STATES.AUTO_CLOSED })
             };
-        });
+        }));
+        const today = this.getDayRange(new Date().toISOString().split('T')[0]);
 
         return {
             severityDistribution,
             topDrivers,
+            topVehicles,
             recentAutoClosed,
             alertTrends,
             summary: {
                 totalActive: activeAlerts.length,
-                totalToday: alerts.filter(alert => 
-                    alert.timestamp.startsWith(new Date().toISOString().split('T')[0])
-                ).length,
+                totalToday: await this.storageManager.countAlerts(today),
                 escalationRate: activeAlerts.length > 0 ? 
-                    Math.round((activeAlerts.filter(alert => alert.status === ALERT_STATES.ESCALATED).length / activeAlerts.length) * 100) : 0
+                    Math.round((activeAlerts.filter(alert => alert.status === ALERT_STATES.ESCALATED).length / activeAlerts.length) * 100) : 0,
+                deEscalated: activeAlerts.filter(alert => alert.lastDeEscalatedAt).length,
+                composite: activeAlerts.filter(alert => alert.correlatedAlertIds.length > 0).length
             }
         };
     }
 
+    // UTC day boundaries for a YYYY-MM-DD date, as storage time filters
+    getDayRange(date) {
+        const from = new Date(`${date}T00:00:00.000Z`);
+        const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+        return { from: from.toISOString(), to: to.toISOString() };
+    }
+
+    async runRetention() {
+        return await this.archiveService.runRetention();
+    }
+
+    async searchArchive(filters = {}, pagination = {}) {
+        return await this.archiveService.searchArchive(filters, pagination);
+    }
+
+    getStorageStatus() {
+        return this.storageManager.getStatus();
+    }
+
+    getJobLeaseStatus() {
+        return this.jobLease.getStatus();
+    }
+
     getRules() {
         return this.ruleEngine.getRules();
     }
 
-    updateRules(rules) {
-        return this.ruleEngine.updateRules(rules);
+    updateRules(rules, options) {
+        return this.ruleEngine.updateRules(rules, options);
+    }
+
+    deleteRule(sourceType, options) {
+        return this.ruleEngine.deleteRule(sourceType, options);
+    }
+
+    saveNamedRule(sourceType, ruleName, rule, options) {
+        return this.ruleEngine.saveNamedRule(sourceType, ruleName, rule, options);
+    }
+
+    deleteNamedRule(sourceType, ruleName, options) {
+        return this.ruleEngine.deleteNamedRule(sourceType, ruleName, options);
+    }
+
+    reloadRules() {
+        return this.ruleEngine.reloadRules();
+    }
+
+    getRuleSource() {
+        return this.ruleEngine.getSource();
+    }
+
+    getRuleRevision() {
+        return this.ruleEngine.getRevision();
+    }
+
+    listRuleRevisions(options) {
+        return this.ruleEngine.listRevisions(options);
+    }
+
+    getRuleRevisionDetails(revision) {
+        return this.ruleEngine.getRevisionDetails(revision);
+    }
+
+    diffRuleRevisions(fromRevision, toRevision) {
+        return this.ruleEngine.diffRevisions(fromRevision, toRevision);
+    }
+
+    rollbackRules(revision, options) {
+        return this.ruleEngine.rollback(revision, options);
+    }
+
+    async simulateRules(options) {
+        return await this.ruleSimulator.simulate(options);
     }
 }
 
@@ -1,105 +1,128 @@
 const Alert = require('../models/Alert');
+const MemoryStorageAdapter = require('./storage/MemoryStorageAdapter');
+const RedisStorageAdapter = require('./storage/RedisStorageAdapter');
+const FileStorageAdapter = require('./storage/FileStorageAdapter');
+const ReconciliationManager = require('./storage/ReconciliationManager');
 
 class AlertStorageManager {
     constructor(redisManager) {
         this.redis = redisManager;
-        this.memoryStore = new Map(); // Fallback storage
-        this.alertsByDriver = new Map();
-        this.alertsByVehicle = new Map();
+        this.adapterType = (process.env.STORAGE_ADAPTER || 'redis').toLowerCase();
+        this.primaryAdapter = this.createAdapter(this.adapterType);
+        this.fallbackAdapter = new MemoryStorageAdapter(); // Fallback storage
+
+        // Only Redis can go away at runtime; replay fallback writes when it returns
+        this.reconciliation = this.adapterType === 'redis'
+            ? new ReconciliationManager(this.primaryAdapter, this.fallbackAdapter, this.redis)
+            : null;
     }
 
-    async saveAlert(alert) {
-        const alertData = alert.toJSON();
-        
-        // Try Redis first
-        if (this.redis.isConnected) {
-            await this.redis.set(`alert:${alert.alertId}`, alertData);
-            
-            // Index by driver and vehicle for dashboard queries
-            if (alert.metadata.driverId) {
-                await this.redis.zadd(`driver:${alert.metadata.driverId}:alerts`, Date.now(), alert.alertId);
-            }
-            if (alert.metadata.vehicleId) {
-                await this.redis.zadd(`vehicle:${alert.metadata.vehicleId}:alerts`, Date.now(), alert.alertId);
-            }
-        } else {
-            // Fallback to memory
-            this.memoryStore.set(alert.alertId, alertData);
-            this.updateMemoryIndices(alert);
+    createAdapter(adapterType) {
+        switch (adapterType) {
+            case 'redis':
+                return new RedisStorageAdapter(this.redis);
+            case 'memory':
+                return new MemoryStorageAdapter();
+            case 'file':
+                return new FileStorageAdapter();
+            default:
+                console.log(`  Unknown STORAGE_ADAPTER "${adapterType}", using redis`);
+                this.adapterType = 'redis';
+                return new RedisStorageAdapter(this.redis);
         }
     }
 
-    updateMemoryIndices(alert) {
-        if (alert.metadata.driverId) {
-            if (!this.alertsByDriver.has(alert.metadata.driverId)) {
-                this.alertsByDriver.set(alert.metadata.driverId, []);
-            }
-            this.alertsByDriver.get(alert.metadata.driverId).push(alert.alertId);
-        }
-        
-        if (alert.metadata.vehicleId) {
-            if (!this.alertsByVehicle.has(alert.metadata.vehicleId)) {
-                this.alertsByVehicle.set(alert.metadata.vehicleId, []);
-            }
-            this.alertsByVehicle.get(alert.metadata.vehicleId).push(alert.alertId);
+    get adapter() {
+        if (!this.reconciliation) return this.primaryAdapter;
+        return this.reconciliation.isHealthy() ? this.primaryAdapter : this.fallbackAdapter;
+    }
+
+    isDegraded() {
+        return this.adapter !== this.primaryAdapter;
+    }
+
+    getStatus() {
+        return {
+            adapter: this.adapterType,
+            active: this.adapter.name,
+            degraded: this.isDegraded(),
+            redisConnected: this.redis.isConnected,
+            ...(this.reconciliation ? this.reconciliation.getStatus() : { state: 'healthy' })
+        };
+    }
+
+    // Compare-and-set save: fails with a ConcurrencyError if the stored alert
+    // changed since this copy was loaded, otherwise bumps the alert version
+    async saveAlert(alert) {
+        const adapter = this.adapter;
+        const alertData = { ...alert.toJSON(), version: alert.version + 1 };
+        await adapter.save(alertData, alert.version);
+        alert.version = alertData.version;
+
+        if (adapter === this.fallbackAdapter) {
+            this.reconciliation.recordSave(alertData);
         }
     }
 
     async getAlert(alertId) {
-        if (this.redis.isConnected) {
-            const alertData = await this.redis.get(`alert:${alertId}`);
-            return alertData ? new Alert(alertData) : null;
-        } else {
-            const alertData = this.memoryStore.get(alertId);
-            return alertData ? new Alert(alertData) : null;
-        }
+        const alertData = await this.adapter.get(alertId);
+        return alertData ? new Alert(alertData) : null;
     }
 
-    async getAllAlerts() {
-        if (this.redis.isConnected) {
-            const keys = await this.redis.keys('alert:*');
-            const alerts = [];
-            
-            for (const key of keys) {
-                const alertData = await this.redis.get(key);
-                if (alertData) {
-                    alerts.push(new Alert(alertData));
-                }
-            }
-            
-            return alerts;
-        } else {
-            return Array.from(this.memoryStore.values()).map(data => new Alert(data));
-        }
+    // Filtered, paginated query evaluated by the adapter; see StorageAdapter for filters
+    async queryAlerts(filters = {}, options = {}) {
+        const { results, total } = await this.adapter.query(filters, options);
+        return {
+            alerts: results.map(alertData => new Alert(alertData)),
+            total
+        };
+    }
+
+    async countAlerts(filters = {}) {
+        return await this.adapter.count(filters);
+    }
+
+    async getSummary() {
+        return await this.adapter.getSummary();
     }
 
     async deleteAlert(alertId) {
-        if (this.redis.isConnected) {
-            await this.redis.del(`alert:${alertId}`);
-        } else {
-            this.memoryStore.delete(alertId);
+        const adapter = this.adapter;
+        await adapter.delete(alertId);
+
+        if (adapter === this.fallbackAdapter) {
+            this.reconciliation.recordDelete(alertId);
         }
     }
 
+    // Both adapters keep windows, so rules keep counting while Redis is away
+    async configureWindows(specs) {
+        await this.primaryAdapter.configureWindows(specs);
+        if (this.reconciliation) await this.fallbackAdapter.configureWindows(specs);
+    }
+
+    async getWindow(sourceType, groupBy, value, from) {
+        return await this.adapter.getWindow(sourceType, groupBy, value, from);
+    }
+
+    async getLastOccurrence(sourceType, groupBy, value) {
+        return await this.adapter.getLastOccurrence(sourceType, groupBy, value);
+    }
+
     async getAlertsByDriver(driverId, limit = 10) {
-        if (this.redis.isConnected) {
-            const alertIds = await this.redis.zrevrange(`driver:${driverId}:alerts`, 0, limit - 1);
-            const alerts = [];
-            
-            for (const alertId of alertIds) {
-                const alert = await this.getAlert(alertId);
-                if (alert) alerts.push(alert);
-            }
-            
-            return alerts;
-        } else {
-            const alertIds = this.alertsByDriver.get(driverId) || [];
-            return alertIds.slice(0, limit).map(id => {
-                const data = this.memoryStore.get(id);
-                return data ? new Alert(data) : null;
-            }).filter(Boolean);
-        }
+        return await this.getIndexedAlerts('driver', driverId, limit);
+    }
+
+    async getAlertsByVehicle(vehicleId, limit = 10) {
+        return await this.getIndexedAlerts('vehicle', vehicleId, limit);
+    }
+
+    async getIndexedAlerts(indexName, value, limit) {
+        const adapter = this.adapter;
+        const alertIds = await adapter.getIndexed(indexName, value, limit);
+        const results = await adapter.getMany(alertIds);
+        return results.map(alertData => new Alert(alertData));
     }
 }
 
-module.exports = AlertStorageManager;
\ No newline at end of file
+module.exports = AlertStorageManager;
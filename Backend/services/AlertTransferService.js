@@ -0,0 +1,180 @@
+const Alert = require('../models/Alert');
+const { ALERT_STATES, SEVERITY_LEVELS } = require('../config/constants');
+const { ConcurrencyError } = require('../utils/errors');
+const { toCsvRow, parseCsv, parseNdjson } = require('../utils/formats');
+
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+    'alertId', 'sourceType', 'severity', 'status', 'timestamp',
+    'resolution', 'resolvedAt', 'expiredAt', 'lastEscalatedAt', 'lastDeEscalatedAt', 'escalationCount',
+    'escalationTier', 'assignee', 'acknowledgedAt', 'acknowledgedBy', 'reopenedAt', 'reopenCount',
+    'snooze', 'suppressionId', 'fingerprint', 'occurrenceCount', 'firstSeen', 'lastSeen', 'occurrences',
+    'correlatedAlertIds', 'compositeAlertIds', 'metadata', 'history'
+];
+
+const JSON_COLUMNS = ['snooze', 'occurrences', 'correlatedAlertIds', 'compositeAlertIds', 'metadata', 'history'];
+const INTEGER_FIELDS = ['escalationCount', 'escalationTier', 'reopenCount', 'occurrenceCount'];
+const DATE_FIELDS = ['timestamp', 'resolvedAt', 'expiredAt', 'lastEscalatedAt', 'lastDeEscalatedAt', 'acknowledgedAt', 'reopenedAt', 'firstSeen', 'lastSeen'];
+
+function timestampOf(alert) {
+    return new Date(alert.timestamp).getTime();
+}
+
+// Bulk export/import of alerts as NDJSON or CSV
+class AlertTransferService {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+    }
+
+    // Pages through the store and hands each serialized chunk to `write`,
+    // which may return a promise to apply backpressure. Alerts raised after the
+    // export started are left out, and pages follow a (timestamp, alertId) cursor
+    // rather than an offset, so alerts arriving or changing meanwhile cannot shift
+    // later pages and duplicate or skip rows.
+    async exportAlerts(filters, format, write) {
+        if (format === 'csv') {
+            await write(toCsvRow(CSV_COLUMNS));
+        }
+
+        const exportStartedAt = new Date().toISOString();
+        let cursor = null; // { timestamp, alertId, seen } of the last row; seen counts the rows exported at that timestamp
+
+        for (;;) {
+            const { alerts: page } = await this.storageManager.queryAlerts(
+                { ...filters, to: cursor ? new Date(cursor.timestamp + 1).toISOString() : exportStartedAt },
+                { limit: EXPORT_BATCH_SIZE, offset: cursor ? cursor.seen : 0 }
+            );
+            if (page.length === 0) break;
+
+            // Ties are ordered by descending alertId, so anything not below the cursor was exported already
+            const alerts = cursor
+                ? page.filter(alert => timestampOf(alert) !== cursor.timestamp || alert.alertId < cursor.alertId)
+                : page;
+
+            const last = page[page.length - 1];
+            const lastTimestamp = timestampOf(last);
+            const seenBefore = cursor && cursor.timestamp === lastTimestamp ? cursor.seen : 0;
+            cursor = {
+                timestamp: lastTimestamp,
+                alertId: last.alertId,
+                seen: seenBefore + page.filter(alert => timestampOf(alert) === lastTimestamp).length
+            };
+
+            const chunk = alerts.map(alert => {
+                const { age, ...alertData } = alert.toJSON();
+                return format === 'csv'
+                    ? toCsvRow(CSV_COLUMNS.map(column => alertData[column]))
+                    : JSON.stringify(alertData) + '\n';
+            }).join('');
+            await write(chunk);
+        }
+    }
+
+    // Imports every valid row and reports per-row errors; rows keep their
+    // original alertId, timestamp and history
+    async importAlerts(text, format) {
+        const rows = format === 'csv' ? this.parseCsvRows(text) : parseNdjson(text);
+        const result = { imported: 0, failed: 0, errors: [] };
+
+        for (const { line, value, error } of rows) {
+            const validationError = error || this.validateRow(value);
+            if (validationError) {
+                result.failed++;
+                result.errors.push({ row: line, error: validationError });
+                continue;
+            }
+
+            try {
+                // Versions restart in this store; dates are normalized to ISO strings
+                const alertData = { ...value, version: 0 };
+                DATE_FIELDS.forEach(field => {
+                    if (alertData[field]) alertData[field] = new Date(alertData[field]).toISOString();
+                });
+
+                const alert = new Alert(alertData);
+                await this.storageManager.saveAlert(alert);
+                result.imported++;
+            } catch (saveError) {
+                result.failed++;
+                result.errors.push({
+                    row: line,
+                    alertId: value.alertId,
+                    error: saveError instanceof ConcurrencyError ? 'Alert already exists' : saveError.message
+                });
+            }
+        }
+
+        return result;
+    }
+
+    parseCsvRows(text) {
+        const [header = { line: 1, fields: [] }, ...records] = parseCsv(text);
+        const columns = header.fields.map(column => column.trim());
+
+        if (!columns.includes('sourceType')) {
+            return [{ line: header.line, error: 'CSV header must include a sourceType column' }];
+        }
+
+        // Row numbers are the line a record starts on, counting the header line
+        return records.map(({ line, fields }) => {
+            const value = {};
+
+            try {
+                columns.forEach((column, columnIndex) => {
+                    const raw = fields[columnIndex];
+                    if (raw === undefined || raw === '') return;
+
+                    if (JSON_COLUMNS.includes(column)) {
+                        value[column] = JSON.parse(raw);
+                    } else if (INTEGER_FIELDS.includes(column)) {
+                        value[column] = Number(raw);
+                    } else {
+                        value[column] = raw;
+                    }
+                });
+            } catch (error) {
+                return { line, error: `Invalid JSON in CSV field: ${error.message}` };
+            }
+
+            return { line, value };
+        });
+    }
+
+    validateRow(row) {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) return 'Row must be an object';
+        if (!row.sourceType || typeof row.sourceType !== 'string') return 'sourceType is required';
+        if (row.alertId !== undefined && typeof row.alertId !== 'string') return 'alertId must be a string';
+        if (row.severity !== undefined && !Object.values(SEVERITY_LEVELS).includes(row.severity)) {
+            return `severity must be one of ${Object.values(SEVERITY_LEVELS).join(', ')}`;
+        }
+        if (row.status !== undefined && !Object.values(ALERT_STATES).includes(row.status)) {
+            return `status must be one of ${Object.values(ALERT_STATES).join(', ')}`;
+        }
+        if (row.metadata !== undefined && (typeof row.metadata !== 'object' || row.metadata === null || Array.isArray(row.metadata))) {
+            return 'metadata must be an object';
+        }
+        if (row.history !== undefined && !Array.isArray(row.history)) return 'history must be an array';
+        if (row.status === ALERT_STATES.SNOOZED && !(row.snooze && row.snooze.until && !isNaN(new Date(row.snooze.until).getTime()))) {
+            return 'snooze.until is required for SNOOZED alerts';
+        }
+        const invalidLinks = ['correlatedAlertIds', 'compositeAlertIds']
+            .find(field => row[field] !== undefined && !(Array.isArray(row[field]) && row[field].every(id => typeof id === 'string')));
+        if (invalidLinks) return `${invalidLinks} must be an array of alert IDs`;
+        if (row.occurrences !== undefined && !(Array.isArray(row.occurrences) && row.occurrences.every(occurrence =>
+            occurrence && Number.isInteger(occurrence.seq) && !isNaN(new Date(occurrence.at).getTime())))) {
+            return 'occurrences must be an array of { seq, at, metadata }';
+        }
+        const invalidOperator = ['assignee', 'acknowledgedBy'].find(field => row[field] !== undefined && row[field] !== null && typeof row[field] !== 'string');
+        if (invalidOperator) return `${invalidOperator} must be a string`;
+        const invalidCount = INTEGER_FIELDS.find(field => row[field] !== undefined && !Number.isInteger(row[field]));
+        if (invalidCount) return `${invalidCount} must be an integer`;
+
+        const invalidDate = DATE_FIELDS.find(field => row[field] !== undefined && row[field] !== null && isNaN(new Date(row[field]).getTime()));
+        if (invalidDate) return `${invalidDate} must be a valid date`;
+
+        return null;
+    }
+}
+
+module.exports = AlertTransferService;
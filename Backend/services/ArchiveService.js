@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const ArchiveStore = require('./storage/ArchiveStore');
+const RedisArchiveStore = require('./storage/RedisArchiveStore');
+const { TERMINAL_STATES } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ArchiveService {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.policy = this.loadPolicy();
+        // Only the instance holding the retention lease archives, so a shared store is needed for the others to search it
+        this.archiveStore = storageManager.adapterType === 'redis'
+            ? new RedisArchiveStore(storageManager.redis, this.policy.purge_archive_after_days)
+            : new ArchiveStore();
+    }
+
+    loadPolicy() {
+        try {
+            const policyPath = path.join(__dirname, '..', process.env.RETENTION_FILE_PATH || 'retention.json');
+            if (fs.existsSync(policyPath)) {
+                return JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Error loading retention policy:', error);
+        }
+
+        return this.getDefaultPolicy();
+    }
+
+    getDefaultPolicy() {
+        return {
+            by_status: {
+                RESOLVED: 30,
+                AUTO_CLOSED: 14,
+                EXPIRED: 7
+            },
+            by_source_type: {},
+            purge_archive_after_days: 365
+        };
+    }
+
+    // Days an alert stays live after closing; a source type entry (a number, or
+    // per-status numbers) overrides the status default. null keeps the alert live.
+    getRetentionDays(alert) {
+        const sourceTypePolicy = (this.policy.by_source_type || {})[alert.sourceType];
+        if (typeof sourceTypePolicy === 'number') return sourceTypePolicy;
+        if (sourceTypePolicy && sourceTypePolicy[alert.status] !== undefined) return sourceTypePolicy[alert.status];
+
+        const statusDays = (this.policy.by_status || {})[alert.status];
+        return statusDays !== undefined ? statusDays : null;
+    }
+
+    async archiveEligibleAlerts() {
+        const { alerts } = await this.storageManager.queryAlerts({ status: TERMINAL_STATES });
+        const now = Date.now();
+
+        const eligibleAlerts = alerts.filter(alert => {
+            const retentionDays = this.getRetentionDays(alert);
+            if (retentionDays === null) return false;
+            return now - new Date(alert.getClosedAt()).getTime() >= retentionDays * DAY_MS;
+        });
+        if (eligibleAlerts.length === 0) return 0;
+
+        // Write the archive before removing live copies so a crash never loses alerts
+        await this.archiveStore.archive(eligibleAlerts.map(alert => alert.toJSON()));
+        for (const alert of eligibleAlerts) {
+            await this.storageManager.deleteAlert(alert.alertId);
+        }
+
+        return eligibleAlerts.length;
+    }
+
+    async purgeArchive() {
+        const purgeDays = this.policy.purge_archive_after_days;
+        if (!purgeDays) return 0;
+
+        return await this.archiveStore.purge(purgeDays);
+    }
+
+    // Skipped while the storage is degraded: the fallback's alerts are per instance, and
+    // deleting them there would delete them from Redis when the journal is replayed
+    async runRetention() {
+        if (this.storageManager.isDegraded()) {
+            console.warn(' Storage is degraded; retention skipped until it recovers');
+            return { archived: 0, purged: 0, skipped: true };
+        }
+
+        const archived = await this.archiveEligibleAlerts();
+        const purged = await this.purgeArchive();
+
+        if (archived > 0 || purged > 0) {
+            console.log(` Archived ${archived} alerts, purged ${purged} archive days`);
+        }
+
+        return { archived, purged };
+    }
+
+    async searchArchive(filters = {}, pagination = {}) {
+        const { results, total, hasMore } = await this.archiveStore.search(filters, pagination);
+        return { alerts: results, total, hasMore };
+    }
+}
+
+module.exports = ArchiveService;
@@ -0,0 +1,107 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+// Extends the lease only while this instance still owns it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Redis lease electing a single instance to run the background jobs.
+// The holder takes the lease with SET NX PX and renews it every ttl/3, so it
+// keeps running the jobs until it stops renewing (crash, Redis partition); the
+// lease then expires and the next instance to try takes over.
+// Only the redis adapter shares alerts between instances: with the memory or
+// file adapter every instance owns its alerts and runs its jobs unconditionally.
+// `coordinated` tells whether alerts are currently shared: while Redis is down the
+// instance serves from its own fallback store, so it runs its jobs locally too.
+class JobLease {
+    constructor(redisManager, coordinated) {
+        this.redis = redisManager;
+        this.isCoordinated = coordinated;
+        this.key = process.env.JOB_LEASE_KEY || 'lease:background-jobs';
+        this.ttlMs = parseInt(process.env.JOB_LEASE_TTL_MS) || 30000;
+        this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+        this.token = `${this.instanceId}:${uuidv4()}`;
+        this.held = false;
+        this.acquiredAt = null;
+        this.renewedAt = null;
+        this.jobs = {}; // jobName -> { lastRunAt, lastSkippedAt }
+
+        if (this.redis) {
+            this.renewTimer = setInterval(() => this.refresh(), Math.floor(this.ttlMs / 3));
+            this.renewTimer.unref();
+            this.redis.on('disconnected', () => this.lose('Redis disconnected'));
+        }
+    }
+
+    isHeld() {
+        return !this.isCoordinated() || this.held;
+    }
+
+    // Renews the lease when held, otherwise tries to take it; resolves whether this instance holds it
+    async refresh() {
+        if (!this.isCoordinated()) {
+            this.lose('storage is not shared');
+            return true;
+        }
+        if (!this.redis.isConnected) return false;
+
+        if (this.held) {
+            const renewed = await this.redis.eval(RENEW_SCRIPT, [this.key], [this.token, this.ttlMs]);
+            if (renewed === 1) {
+                this.renewedAt = new Date().toISOString();
+                return true;
+            }
+            this.lose('lease expired before renewal');
+        }
+
+        if (await this.redis.setIfAbsent(this.key, this.token, this.ttlMs)) {
+            this.held = true;
+            this.acquiredAt = this.renewedAt = new Date().toISOString();
+            console.log(` Acquired background job lease as ${this.instanceId}`);
+        }
+
+        return this.held;
+    }
+
+    lose(reason) {
+        if (!this.held) return;
+
+        console.log(` Lost background job lease: ${reason}`);
+        this.held = false;
+        this.acquiredAt = null;
+    }
+
+    // Runs the job only on the lease holder; resolves whether it ran
+    async runExclusive(jobName, job) {
+        const runs = this.jobs[jobName] || (this.jobs[jobName] = { lastRunAt: null, lastSkippedAt: null });
+
+        if (!(await this.refresh())) {
+            runs.lastSkippedAt = new Date().toISOString();
+            return false;
+        }
+
+        runs.lastRunAt = new Date().toISOString();
+        await job();
+        return true;
+    }
+
+    getStatus() {
+        const coordinated = this.isCoordinated();
+        return {
+            mode: coordinated ? 'redis-lease' : 'local',
+            instanceId: this.instanceId,
+            isLeader: this.isHeld(),
+            key: coordinated ? this.key : null,
+            ttlMs: coordinated ? this.ttlMs : null,
+            acquiredAt: this.acquiredAt,
+            renewedAt: this.renewedAt,
+            jobs: this.jobs
+        };
+    }
+}
+
+module.exports = JobLease;
@@ -1,25 +1,111 @@
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
 const { ALERT_STATES, SEVERITY_LEVELS } = require('../config/constants');
+const { RuleValidationError } = require('../utils/errors');
+const ExpressionEvaluator = require('./rules/ExpressionEvaluator');
+const { validateRules, diffRules, mergeVariant } = require('./rules/RuleSchema');
+const RuleRevisionStore = require('./rules/RuleRevisionStore');
+const RuleCalendar = require('./rules/RuleCalendar');
+const { readMetadataPath, pickMetadataPaths, groupKey } = require('../utils/metadata');
+const { occurrenceEntries, occurrenceAlertId } = require('../utils/occurrences');
+
+// Priority of a named rule without one; lower priorities are evaluated first
+const DEFAULT_RULE_PRIORITY = 100;
+
+// Without group_by, count windows group alerts by the same driver or the same vehicle
+const DEFAULT_GROUPS = [['driverId'], ['vehicleId']];
+
+// Appends a check to an evaluation trace; trace is null unless the caller asked for one
+function record(trace, check, passed, summary, details = {}) {
+    if (trace) trace.push({ check, passed, summary, ...details });
+}
 
 class RuleEngine {
-    constructor() {
-        this.rules = this.loadRules();
-        this.ruleEvaluationCache = new Map();
+    // Passing rules creates a detached engine (used by the simulator): nothing is
+    // loaded from or saved to disk and no revisions are recorded
+    constructor({ rules } = {}) {
+        this.expressions = new ExpressionEvaluator();
+        this.calendar = new RuleCalendar();
+
+        if (rules) {
+            this.revisions = null;
+            this.rules = rules;
+            this.revision = null;
+            return;
+        }
+
+        this.rulesPath = this.resolveRulesPath();
+        this.source = { file: path.basename(this.rulesPath), format: this.isYaml() ? 'yaml' : 'json', watching: false, lastReload: null };
+        this.revisions = new RuleRevisionStore();
+        const { rules: loadedRules, revision } = this.loadRules();
+        this.rules = loadedRules;
+        this.revision = revision || this.syncRevision();
+        this.watchRules();
+    }
+
+    // Returns the revision number of the loaded rules, recording a revision when
+    // there is none yet or rules.json was edited outside the API
+    syncRevision() {
+        const latest = this.revisions.latest();
+        if (latest && JSON.stringify(latest.rules) === JSON.stringify(this.rules)) {
+            return latest.revision;
+        }
+
+        const comment = latest ? 'Rules file changed outside the API' : 'Initial rules';
+        try {
+            return this.revisions.record(this.rules, { author: 'system', comment }).revision;
+        } catch (error) {
+            console.error(` ${error.message}`);
+            return latest ? latest.revision : 0;
+        }
+    }
+
+    // RULES_FILE_PATH may point to a .json, .yaml or .yml file
+    resolveRulesPath() {
+        const rulesPath = process.env.RULES_FILE_PATH || 'rules.json';
+        return path.isAbsolute(rulesPath) ? rulesPath : path.join(__dirname, '..', rulesPath);
     }
 
+    isYaml() {
+        return /\.ya?ml$/i.test(this.rulesPath);
+    }
+
+    readRulesFile() {
+        const content = fs.readFileSync(this.rulesPath, 'utf8');
+        const rules = this.isYaml() ? yaml.load(content) : JSON.parse(content);
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error('Rules file must contain an object keyed by source type');
+        }
+        return rules;
+    }
+
+    // Returns { rules, revision }. Like a reload, a rules file that is missing, does not
+    // parse or does not validate is not applied: the last good rules (the newest valid
+    // revision) are used instead, and the defaults only when there is no such revision.
+    // revision is null when the rules did not come from a revision.
     loadRules() {
         try {
-            const rulesPath = path.join(__dirname, '..', process.env.RULES_FILE_PATH || 'rules.json');
-            if (fs.existsSync(rulesPath)) {
-                const rulesData = fs.readFileSync(rulesPath, 'utf8');
-                return JSON.parse(rulesData);
+            if (fs.existsSync(this.rulesPath)) {
+                const rules = this.readRulesFile();
+                const errors = validateRules(rules, this.expressions);
+                if (errors.length === 0) return { rules, revision: null };
+
+                console.error(` Rules file ${this.source.file} is invalid:`);
+                errors.forEach(error => console.error(`   ${error.field}: ${error.message}`));
             }
         } catch (error) {
             console.error('Error loading rules:', error);
         }
-        
-        return this.getDefaultRules();
+
+        const lastGood = this.revisions.findLatest(rules => validateRules(rules, this.expressions).length === 0);
+        if (lastGood) {
+            console.warn(` Using the rules of revision ${lastGood.revision}`);
+            return { rules: lastGood.rules, revision: lastGood.revision };
+        }
+
+        console.warn(' Using the default rules');
+        return { rules: this.getDefaultRules(), revision: null };
     }
 
     getDefaultRules() {
@@ -64,87 +150,525 @@ class RuleEngine {
         if (process.env.AUTO_SAVE_RULES !== 'true') return;
         
         try {
-            const rulesPath = path.join(__dirname, '..', process.env.RULES_FILE_PATH || 'rules.json');
-            fs.writeFileSync(rulesPath, JSON.stringify(this.rules, null, 2));
+            const content = this.isYaml() ? yaml.dump(this.rules) : JSON.stringify(this.rules, null, 2);
+            fs.writeFileSync(this.rulesPath, content);
             console.log(' Rules saved successfully');
         } catch (error) {
             console.error(' Error saving rules:', error);
         }
     }
 
-    async evaluateAlert(alert, allAlerts) {
-        const rule = this.rules[alert.sourceType];
-        if (!rule) return null;
+    // Watches the directory rather than the file: deployments and editors usually
+    // replace the file, which would end a watch on the old one. Bursts of events
+    // are debounced into one reload.
+    watchRules() {
+        if (process.env.RULES_HOT_RELOAD === 'false') return;
+
+        const debounceMs = parseInt(process.env.RULES_RELOAD_DEBOUNCE_MS) || 500;
+        try {
+            this.watcher = fs.watch(path.dirname(this.rulesPath), (eventType, fileName) => {
+                if (fileName && fileName !== this.source.file) return;
+
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reloadRules({ trigger: 'watch' }), debounceMs);
+                this.reloadTimer.unref();
+            });
+            this.watcher.on('error', error => {
+                console.error(' Rules file watcher stopped:', error.message);
+                this.source.watching = false;
+            });
+            this.watcher.unref();
+            this.source.watching = true;
+        } catch (error) {
+            console.error(' Could not watch rules file:', error.message);
+        }
+    }
+
+    // Re-reads the rules file and swaps it in only if it parses and validates;
+    // otherwise the last good rules stay active. Returns the reload outcome.
+    reloadRules({ trigger = 'manual' } = {}) {
+        const previousRevision = this.revision;
+        const outcome = { at: new Date().toISOString(), trigger, status: null, revision: previousRevision, errors: [] };
+
+        try {
+            const rules = this.readRulesFile();
+            outcome.errors = validateRules(rules, this.expressions);
+
+            if (outcome.errors.length === 0) {
+                outcome.diff = diffRules(this.rules, rules);
+                outcome.revision = this.applyRules(rules, outcome.diff, {
+                    author: 'system',
+                    comment: `Reloaded from ${this.source.file}`,
+                    persist: false
+                });
+                outcome.status = outcome.revision === previousRevision ? 'unchanged' : 'applied';
+            }
+        } catch (error) {
+            outcome.errors = [{ field: this.source.file, message: error.message }];
+        }
+
+        if (outcome.errors.length > 0) {
+            outcome.status = 'rejected';
+            console.error(` Rules reload rejected, keeping revision ${previousRevision}:`);
+            outcome.errors.forEach(error => console.error(`   ${error.field}: ${error.message}`));
+        } else if (outcome.status === 'applied') {
+            console.log(` Rules reloaded from ${this.source.file} (revision ${outcome.revision})`);
+        }
+
+        this.source.lastReload = outcome;
+        return outcome;
+    }
+
+    getSource() {
+        return this.source || null;
+    }
+
+    // now (ms) is the evaluation time; the simulator replays alerts on a virtual clock.
+    // windows answers count and quiet-period queries (getWindow, getLastOccurrence):
+    // the storage manager, or the simulator's own in-memory store.
+    // Passing a trace array collects every check performed (see record)
+    async evaluateAlert(alert, windows, now = Date.now(), trace = null) {
+        const rules = this.getRuleList(alert.sourceType);
+        if (rules.length === 0) {
+            record(trace, 'rule', false, `No rule for ${alert.sourceType}`);
+            return null;
+        }
+
+        // The first rule that matches and acts wins; stop_processing ends the list even without an action
+        for (const candidate of rules) {
+            const { rule, variant } = this.resolveRule(candidate, now);
+            const label = candidate.name ? `Rule '${candidate.name}'` : `Rule for ${alert.sourceType}`;
+            const priority = candidate.name ? ` (priority ${this.getPriority(candidate)})` : '';
+            record(trace, 'rule', true, `${label}${priority}${variant ? ` (variant '${variant}')` : ''} at revision ${this.revision}`, {
+                ruleName: candidate.name || null,
+                variant
+            });
+
+            if (candidate.match !== undefined && !this.checkCondition('match', candidate.match, alert, now, trace)) continue;
+
+            const action = await this.selectAction(alert, rule, windows, now, trace);
+            if (action) {
+                if (candidate.name) action.ruleName = candidate.name;
+                if (variant) action.ruleVariant = variant;
+                return action;
+            }
+
+            if (candidate.stop_processing) {
+                record(trace, 'stop_processing', true, `${label} stops evaluation of lower-priority rules`);
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    // A source type maps to one rule or to a list of named rules. Lists are evaluated by
+    // ascending priority (ties keep their order in the list), skipping disabled rules.
+    getRuleList(sourceType) {
+        const rules = this.rules[sourceType];
+        if (!rules) return [];
+        if (!Array.isArray(rules)) return [rules];
+
+        return rules
+            .map((rule, index) => ({ rule, index }))
+            .filter(({ rule }) => rule.enabled !== false)
+            .sort((a, b) => this.getPriority(a.rule) - this.getPriority(b.rule) || a.index - b.index)
+            .map(({ rule }) => rule);
+    }
+
+    getPriority(rule) {
+        return rule.priority === undefined ? DEFAULT_RULE_PRIORITY : rule.priority;
+    }
+
+    // The first variant whose schedule matches at `now` is merged over the base rule
+    resolveRule(rule, now = Date.now()) {
+        if (!rule || !rule.variants) return { rule, variant: null };
+
+        const variant = rule.variants.find(candidate => this.calendar.matchesSchedule(candidate.schedule, now, rule.calendar));
+        if (!variant) return { rule, variant: null };
 
+        return { rule: mergeVariant(rule, variant), variant: variant.name };
+    }
+
+    async selectAction(alert, rule, windows, now, trace = null) {
         // Check escalation rules
-        const escalationAction = await this.checkEscalationRules(alert, rule, allAlerts);
+        const escalationAction = await this.checkEscalationRules(alert, rule, windows, now, trace);
         if (escalationAction) return escalationAction;
 
         // Check auto-close rules
-        const autoCloseAction = this.checkAutoCloseRules(alert, rule);
+        const autoCloseAction = this.checkAutoCloseRules(alert, rule, now, trace);
         if (autoCloseAction) return autoCloseAction;
 
+        // Check de-escalation rules
+        const deEscalationAction = await this.checkDeEscalationRules(alert, rule, windows, now, trace);
+        if (deEscalationAction) return deEscalationAction;
+
         return null;
     }
 
-    async checkEscalationRules(alert, rule, allAlerts) {
-        if (!alert.canEscalate()) return null;
+    async checkEscalationRules(alert, rule, windows, now = Date.now(), trace = null) {
+        if (rule.escalation_tiers) return this.checkEscalationTiers(alert, rule, windows, now, trace);
+
+        if (!this.checkCooldown(alert, now, undefined, trace)) return null;
 
         // Count-based escalation within time window
         if (rule.escalate_if_count && rule.window_mins) {
-            const windowStart = new Date(Date.now() - (rule.window_mins * 60 * 1000));
-            const recentAlerts = allAlerts.filter(a => 
-                a.sourceType === alert.sourceType &&
-                a.isActive() &&
-                new Date(a.timestamp) >= windowStart &&
-                (a.metadata.driverId === alert.metadata.driverId || 
-                 a.metadata.vehicleId === alert.metadata.vehicleId)
-            );
-
-            if (recentAlerts.length >= rule.escalate_if_count) {
+            const occurrences = await this.findRecentOccurrences(alert, windows, rule.window_mins, now, rule.group_by);
+
+            if (this.checkCount(alert, occurrences, rule.escalate_if_count, rule.window_mins, rule.group_by, trace)) {
                 return {
                     type: 'escalate',
                     newStatus: ALERT_STATES.ESCALATED,
                     newSeverity: rule.escalate_to_severity,
-                    reason: `${recentAlerts.length} ${alert.sourceType} alerts in ${rule.window_mins} minutes`
+                    reason: this.describeCount(alert, occurrences, rule.window_mins, rule.group_by),
+                    ruleRevision: this.revision
                 };
             }
         }
 
+        // Age, unacknowledged and expression escalations fire once; after a de-escalation only new occurrences re-escalate
+        if (alert.lastDeEscalatedAt) {
+            if (rule.escalate_if_days || rule.escalate_if_unacked_mins || rule.escalate_if) {
+                record(trace, 'de_escalated', false, `De-escalated at ${alert.lastDeEscalatedAt}; age, unacknowledged and expression escalations do not fire again`);
+            }
+            return null;
+        }
+
+        // Age and expression escalations apply to alerts not escalated yet, acknowledged or not
+        const unescalated = alert.status === ALERT_STATES.OPEN || alert.status === ALERT_STATES.ACKNOWLEDGED;
+
         // Age-based escalation
-        if (rule.escalate_if_days && alert.status === ALERT_STATES.OPEN) {
-            const alertAge = alert.getAge();
+        if (rule.escalate_if_days && !unescalated) {
+            record(trace, 'age', false, `Only OPEN and ACKNOWLEDGED alerts escalate by age (status ${alert.status})`);
+        } else if (rule.escalate_if_days) {
+            const alertAge = rule.business_days
+                ? this.calendar.businessDaysSince(alert.timestamp, now, rule.calendar)
+                : alert.getAge(now);
+            const unit = rule.business_days ? 'business days' : 'days';
+            record(trace, 'age', alertAge >= rule.escalate_if_days, `${Number(alertAge.toFixed(2))} of ${rule.escalate_if_days} ${unit}`, {
+                age: alertAge,
+                threshold: rule.escalate_if_days,
+                businessDays: Boolean(rule.business_days)
+            });
             if (alertAge >= rule.escalate_if_days) {
                 return {
                     type: 'escalate',
                     newStatus: ALERT_STATES.ESCALATED,
                     newSeverity: rule.escalate_to_severity,
-                    reason: `Alert aged ${Math.floor(alertAge)} days`
+                    reason: `Alert aged ${Math.floor(alertAge)} ${unit}`,
+                    ruleRevision: this.revision
                 };
             }
         }
 
+        // Escalation of alerts nobody acknowledged in time; the only check acknowledging an alert turns off
+        if (rule.escalate_if_unacked_mins && alert.status === ALERT_STATES.ACKNOWLEDGED) {
+            record(trace, 'unacked', false, `Acknowledged by ${alert.acknowledgedBy} at ${alert.acknowledgedAt}`);
+        } else if (rule.escalate_if_unacked_mins && alert.status !== ALERT_STATES.OPEN) {
+            record(trace, 'unacked', false, `Only OPEN alerts escalate when unacknowledged (status ${alert.status})`);
+        } else if (rule.escalate_if_unacked_mins) {
+            const unackedMinutes = (now - new Date(alert.timestamp).getTime()) / (60 * 1000);
+            record(trace, 'unacked', unackedMinutes >= rule.escalate_if_unacked_mins, `${Math.floor(unackedMinutes)} of ${rule.escalate_if_unacked_mins} minutes without acknowledgement`, {
+                minutes: unackedMinutes,
+                threshold: rule.escalate_if_unacked_mins
+            });
+            if (unackedMinutes >= rule.escalate_if_unacked_mins) {
+                return {
+                    type: 'escalate',
+                    newStatus: ALERT_STATES.ESCALATED,
+                    newSeverity: rule.escalate_to_severity,
+                    reason: `Not acknowledged within ${rule.escalate_if_unacked_mins} minutes`,
+                    ruleRevision: this.revision
+                };
+            }
+        }
+
+        // Expression-based escalation
+        if (rule.escalate_if && !unescalated) {
+            record(trace, 'escalate_if', false, `Only OPEN and ACKNOWLEDGED alerts escalate by expression (status ${alert.status})`);
+        } else if (rule.escalate_if && this.checkCondition('escalate_if', rule.escalate_if, alert, now, trace)) {
+            return {
+                type: 'escalate',
+                newStatus: ALERT_STATES.ESCALATED,
+                newSeverity: rule.escalate_to_severity,
+                reason: `Escalated because ${rule.escalate_if}`,
+                ruleRevision: this.revision
+            };
+        }
+
         return null;
     }
 
-    checkAutoCloseRules(alert, rule) {
+    // Occurrences (see utils/occurrences) of active alerts of the same type within the window
+    // and in the same group; a deduplicated alert counts once per occurrence.
+    // groupBy is one or more metadata paths that must all match; without it alerts
+    // group by the same driver or the same vehicle. An alert missing any grouping
+    // field is only grouped with itself.
+    async findRecentOccurrences(alert, windows, windowMins, now, groupBy) {
+        const windowStart = now - (windowMins * 60 * 1000);
+        const occurrences = new Set();
+
+        for (const paths of this.getGroupings(groupBy)) {
+            const value = groupKey(alert.metadata, paths);
+            if (value === null) continue;
+            (await windows.getWindow(alert.sourceType, paths, value, windowStart)).forEach(member => occurrences.add(member));
+        }
+        if (alert.isActive()) {
+            occurrenceEntries(alert)
+                .filter(({ timestamp }) => timestamp >= windowStart)
+                .forEach(({ member }) => occurrences.add(member));
+        }
+
+        return Array.from(occurrences);
+    }
+
+    // Time (ms) of the newest occurrence of the same type in the same group, whatever its status
+    async findLastOccurrence(alert, windows, groupBy) {
+        let lastOccurrence = new Date(alert.lastSeen || alert.timestamp).getTime();
+
+        for (const paths of this.getGroupings(groupBy)) {
+            const value = groupKey(alert.metadata, paths);
+            if (value === null) continue;
+            const occurrence = await windows.getLastOccurrence(alert.sourceType, paths, value);
+            if (occurrence !== null) lastOccurrence = Math.max(lastOccurrence, occurrence);
+        }
+
+        return lastOccurrence;
+    }
+
+    getGroupings(groupBy) {
+        return groupBy ? [[].concat(groupBy)] : DEFAULT_GROUPS;
+    }
+
+    // The windows the storage layer keeps for the current rules: one per source type
+    // and grouping, long enough for every count window and quiet period that reads it
+    getWindowSpecs() {
+        const specs = new Map();
+        const add = (sourceType, groupBy, minutes) => {
+            this.getGroupings(groupBy).forEach(paths => {
+                const id = `${sourceType}:${paths.join(',')}`;
+                const horizonMs = minutes * 60 * 1000;
+                if (!specs.has(id) || specs.get(id).horizonMs < horizonMs) specs.set(id, { sourceType, groupBy: paths, horizonMs });
+            });
+        };
+
+        Object.entries(this.rules).forEach(([sourceType, rules]) => {
+            [].concat(rules || []).forEach(base => {
+                [base, ...(base.variants || []).map(variant => mergeVariant(base, variant))].forEach(rule => {
+                    if (rule.window_mins) add(sourceType, rule.group_by, rule.window_mins);
+                    (rule.escalation_tiers || []).forEach(tier => {
+                        if (tier.window_mins) add(sourceType, tier.group_by || rule.group_by, tier.window_mins);
+                    });
+                    if (rule.de_escalation && rule.de_escalation.quiet_mins) {
+                        add(sourceType, rule.de_escalation.group_by || rule.group_by, rule.de_escalation.quiet_mins);
+                    }
+                });
+            });
+        });
+
+        return Array.from(specs.values());
+    }
+
+    // Correlation rules are keyed by the composite source type they raise and match
+    // when every source type listed has an active alert in the same group within the
+    // window. Alerts already linked to an active composite of that type are not
+    // reused, so one incident raises one composite. `candidates` must include the
+    // active alerts of getCorrelationScope created within its window.
+    findCorrelations(alert, candidates, now = Date.now()) {
+        return this.getCorrelationRules(alert.sourceType)
+            .map(([sourceType, correlate]) => this.matchCorrelation(sourceType, correlate, alert, candidates, now))
+            .filter(Boolean);
+    }
+
+    // [compositeSourceType, correlate] for each correlation rule listing the source type
+    getCorrelationRules(sourceType) {
+        return Object.keys(this.rules)
+            .flatMap(compositeType => this.getRuleList(compositeType).map(rule => [compositeType, rule.correlate]))
+            .filter(([, correlate]) => correlate && correlate.source_types.includes(sourceType));
+    }
+
+    // The source types (including the composites) and the longest window findCorrelations
+    // reads for an alert of this type; null when no correlation rule lists it.
+    // Composites are created after their contributors, so any composite linking an alert
+    // in the window was itself created within it.
+    getCorrelationScope(sourceType) {
+        const correlations = this.getCorrelationRules(sourceType);
+        if (correlations.length === 0) return null;
+
+        const sourceTypes = new Set();
+        correlations.forEach(([compositeType, correlate]) => {
+            sourceTypes.add(compositeType);
+            correlate.source_types.forEach(type => sourceTypes.add(type));
+        });
+
+        return {
+            sourceTypes: Array.from(sourceTypes),
+            windowMins: Math.max(...correlations.map(([, correlate]) => correlate.window_mins))
+        };
+    }
+
+    matchCorrelation(sourceType, correlate, alert, alerts, now) {
+        const linked = new Set(alerts
+            .filter(a => a.sourceType === sourceType && a.isActive())
+            .flatMap(a => a.correlatedAlertIds));
+        if (!alert.isActive() || linked.has(alert.alertId)) return null;
+
+        const windowStart = now - (correlate.window_mins * 60 * 1000);
+        const inGroup = this.groupMatcher(alert, correlate.group_by);
+        const candidates = alerts.filter(a =>
+            a.isActive() &&
+            !linked.has(a.alertId) &&
+            new Date(a.timestamp).getTime() >= windowStart &&
+            inGroup(a)
+        );
+
+        // The newest candidate of each other source type
+        const contributors = correlate.source_types.map(type => type === alert.sourceType ? alert : candidates
+            .filter(a => a.sourceType === type)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0]);
+        if (contributors.some(contributor => !contributor)) return null;
+
+        const group = [].concat(correlate.group_by)
+            .map(path => `${path} ${JSON.stringify(readMetadataPath(alert.metadata, path))}`)
+            .join(', ');
+
+        return {
+            sourceType,
+            severity: correlate.severity,
+            alerts: contributors,
+            metadata: pickMetadataPaths(alert.metadata, ['driverId', 'vehicleId', ...[].concat(correlate.group_by)]),
+            reason: `Correlated ${correlate.source_types.join(' + ')} within ${correlate.window_mins} minutes for ${group}`,
+            ruleRevision: this.revision
+        };
+    }
+
+    groupMatcher(alert, groupBy) {
+        const key = this.groupKey(alert, groupBy);
+        if (key === null) return a => a.alertId === alert.alertId;
+        return a => a.alertId === alert.alertId || this.groupKey(a, groupBy) === key;
+    }
+
+    groupKey(alert, groupBy) {
+        return groupKey(alert.metadata, groupBy);
+    }
+
+    describeCount(alert, occurrences, windowMins, groupBy) {
+        const alertCount = this.occurrenceAlertIds(occurrences).length;
+        const description = alertCount === occurrences.length
+            ? `${occurrences.length} ${alert.sourceType} alerts in ${windowMins} minutes`
+            : `${occurrences.length} ${alert.sourceType} occurrences (${alertCount} ${alertCount === 1 ? 'alert' : 'alerts'}) in ${windowMins} minutes`;
+        if (!groupBy) return description;
+
+        const group = [].concat(groupBy)
+            .map(path => `${path} ${JSON.stringify(readMetadataPath(alert.metadata, path))}`)
+            .join(', ');
+        return `${description} for ${group}`;
+    }
+
+    occurrenceAlertIds(occurrences) {
+        return Array.from(new Set(occurrences.map(occurrenceAlertId)));
+    }
+
+    // Escalation ladders: the alert climbs one tier at a time. The next tier fires once
+    // its cooldown has passed since the last escalation and all of its triggers hold;
+    // after_mins counts from when the alert entered its current tier.
+    async checkEscalationTiers(alert, rule, windows, now, trace = null) {
+        const tiers = rule.escalation_tiers;
+        const tierIndex = alert.escalationTier || 0;
+        const tier = tiers[tierIndex];
+        const tierName = tier && (tier.name || `tier ${tierIndex + 1}`);
+        record(trace, 'tier', Boolean(tier), tier
+            ? `Next tier ${tierIndex + 1} of ${tiers.length} (${tierName})`
+            : `Top of the ladder reached (tier ${tierIndex} of ${tiers.length})`, { tier: tierIndex });
+        if (!tier) return null;
+
+        if (!this.checkCooldown(alert, now, tier.cooldown_mins, trace)) return null;
+
+        const reasons = [];
+        if (tier.after_mins !== undefined) {
+            const tierEnteredAt = Math.max(...[alert.timestamp, alert.lastEscalatedAt, alert.lastDeEscalatedAt]
+                .filter(Boolean)
+                .map(time => new Date(time).getTime()));
+            const minutesInTier = (now - tierEnteredAt) / (60 * 1000);
+            record(trace, 'after_mins', minutesInTier >= tier.after_mins, `${Math.floor(minutesInTier)} of ${tier.after_mins} minutes in tier ${tierIndex}`, {
+                minutes: minutesInTier,
+                threshold: tier.after_mins
+            });
+            if (minutesInTier < tier.after_mins) return null;
+            reasons.push(`${Math.floor(minutesInTier)} minutes in tier ${tierIndex}`);
+        }
+        if (tier.escalate_if_count !== undefined) {
+            const groupBy = tier.group_by || rule.group_by;
+            const occurrences = await this.findRecentOccurrences(alert, windows, tier.window_mins, now, groupBy);
+            if (!this.checkCount(alert, occurrences, tier.escalate_if_count, tier.window_mins, groupBy, trace)) return null;
+            reasons.push(this.describeCount(alert, occurrences, tier.window_mins, groupBy));
+        }
+        if (tier.escalate_if !== undefined) {
+            if (!this.checkCondition('escalate_if', tier.escalate_if, alert, now, trace)) return null;
+            reasons.push(tier.escalate_if);
+        }
+
+        return {
+            type: 'escalate',
+            newStatus: ALERT_STATES.ESCALATED,
+            newSeverity: tier.severity || alert.severity,
+            tier: tierIndex + 1,
+            tierName,
+            notify: tier.notify || null,
+            reason: `Escalated to ${tierName}: ${reasons.join(', ')}`,
+            ruleRevision: this.revision
+        };
+    }
+
+    // Lowers severity once nothing new happened in the group for quiet_mins and/or
+    // de_escalate_if holds; only alerts above the target severity are de-escalated
+    async checkDeEscalationRules(alert, rule, windows, now = Date.now(), trace = null) {
+        const deEscalation = rule.de_escalation;
+        if (!deEscalation) return null;
+
+        const severities = Object.values(SEVERITY_LEVELS);
+        if (severities.indexOf(alert.severity) <= severities.indexOf(deEscalation.severity)) {
+            record(trace, 'de_escalation', false, `Severity ${alert.severity} is not above the de-escalation target ${deEscalation.severity}`);
+            return null;
+        }
+
+        const reasons = [];
+        if (deEscalation.quiet_mins !== undefined) {
+            const groupBy = deEscalation.group_by || rule.group_by;
+            const lastOccurrence = await this.findLastOccurrence(alert, windows, groupBy);
+            const quietMinutes = (now - lastOccurrence) / (60 * 1000);
+            record(trace, 'quiet_mins', quietMinutes >= deEscalation.quiet_mins, `${Math.floor(quietMinutes)} of ${deEscalation.quiet_mins} minutes without a new ${alert.sourceType} alert`, {
+                minutes: quietMinutes,
+                threshold: deEscalation.quiet_mins
+            });
+            if (quietMinutes < deEscalation.quiet_mins) return null;
+            reasons.push(`no new ${alert.sourceType} alerts for ${Math.floor(quietMinutes)} minutes`);
+        }
+        if (deEscalation.de_escalate_if !== undefined) {
+            if (!this.checkCondition('de_escalate_if', deEscalation.de_escalate_if, alert, now, trace)) return null;
+            reasons.push(deEscalation.de_escalate_if);
+        }
+
+        return {
+            type: 'de_escalate',
+            newStatus: alert.acknowledgedAt ? ALERT_STATES.ACKNOWLEDGED : ALERT_STATES.OPEN,
+            newSeverity: deEscalation.severity,
+            reason: `De-escalated to ${deEscalation.severity}: ${reasons.join(', ')}`,
+            ruleRevision: this.revision
+        };
+    }
+
+    checkAutoCloseRules(alert, rule, now = Date.now(), trace = null) {
     if (!rule.auto_close_if || !alert.metadata) return null;
 
     const condition = rule.auto_close_if;
 
-    // extended condition handling for compliance/document renewal
-    const conditionValue =
-        alert.metadata[condition] === true ||
-        alert.metadata[condition] === 'true' ||
-        (condition === 'document_valid' && alert.metadata.document_valid === true) ||
-        (condition === 'document_renewed' && alert.metadata.document_renewed === true) ||
-        (condition === 'maintenance_completed' && alert.metadata.maintenance_completed === true);
-
-    if (conditionValue) {
+    if (this.checkCondition('auto_close_if', condition, alert, now, trace)) {
         return {
             type: 'auto_close',
             newStatus: ALERT_STATES.AUTO_CLOSED,
-            reason: `Auto-closed because ${condition} condition met`
+            reason: `Auto-closed because ${condition} condition met`,
+            ruleRevision: this.revision
         };
     }
 
@@ -152,10 +676,186 @@ class RuleEngine {
 }
 
 
-    updateRules(newRules) {
-        this.rules = { ...this.rules, ...newRules };
-        this.ruleEvaluationCache.clear();
-        this.saveRules();
+    // Variables available to condition expressions; bare names fall back to metadata fields
+    buildConditionContext(alert, now = Date.now()) {
+        const ageDays = alert.getAge(now);
+        return {
+            metadata: alert.metadata || {},
+            age_hours: ageDays * 24,
+            age_days: ageDays,
+            severity: alert.severity,
+            status: alert.status,
+            sourceType: alert.sourceType,
+            escalation_count: alert.escalationCount || 0,
+            escalation_tier: alert.escalationTier || 0,
+            acknowledged: Boolean(alert.acknowledgedAt),
+            assignee: alert.assignee || null,
+            occurrence_count: alert.occurrenceCount || 1
+        };
+    }
+
+    checkCooldown(alert, now, cooldownMinutes, trace) {
+        const passed = alert.canEscalate(now, cooldownMinutes);
+        if (!trace) return passed;
+
+        const remaining = alert.getCooldownRemaining(now, cooldownMinutes);
+        record(trace, 'cooldown', passed, !alert.lastEscalatedAt
+            ? 'Never escalated, no cooldown'
+            : `${Math.ceil(remaining)} cooldown minutes remaining since the escalation at ${alert.lastEscalatedAt}`, {
+            lastEscalatedAt: alert.lastEscalatedAt,
+            remainingMinutes: remaining
+        });
+        return passed;
+    }
+
+    checkCount(alert, occurrences, threshold, windowMins, groupBy, trace) {
+        const passed = occurrences.length >= threshold;
+        record(trace, 'count_window', passed, `${occurrences.length} of ${threshold} required: ${this.describeCount(alert, occurrences, windowMins, groupBy)}`, {
+            count: occurrences.length,
+            threshold,
+            windowMins,
+            groupBy: groupBy || null,
+            alertIds: this.occurrenceAlertIds(occurrences)
+        });
+        return passed;
+    }
+
+    // Like testCondition, recording the result and the values the expression read
+    checkCondition(check, expression, alert, now, trace) {
+        if (!trace) return this.testCondition(expression, alert, now);
+
+        try {
+            const { result, passed, values } = this.expressions.explain(expression, this.buildConditionContext(alert, now));
+            record(trace, check, passed, `${expression} is ${JSON.stringify(result)}`, { expression, result, values });
+            return passed;
+        } catch (error) {
+            record(trace, check, false, `Invalid expression: ${error.message}`, { expression });
+            return false;
+        }
+    }
+
+    // Invalid expressions never match; they are rejected on update and logged here
+    testCondition(expression, alert, now = Date.now()) {
+        try {
+            return this.expressions.test(expression, this.buildConditionContext(alert, now));
+        } catch (error) {
+            console.error(` Invalid condition for ${alert.sourceType} rule: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Each source type in newRules replaces its rule; a null value deletes it.
+    // Returns { rules, diff, revision } and only applies the result when dryRun is false.
+    updateRules(newRules, { dryRun = false, author, comment } = {}) {
+        const errors = validateRules(newRules, this.expressions);
+        if (errors.length > 0) throw new RuleValidationError(errors);
+
+        const rules = { ...this.rules };
+        Object.entries(newRules).forEach(([sourceType, rule]) => {
+            if (rule === null) {
+                delete rules[sourceType];
+            } else {
+                rules[sourceType] = rule;
+            }
+        });
+
+        const diff = diffRules(this.rules, rules);
+        if (dryRun) return { rules, diff, revision: null };
+
+        return { rules, diff, revision: this.applyRules(rules, diff, { author, comment }) };
+    }
+
+    // Returns false when there is no rule for the source type
+    deleteRule(sourceType, { author, comment } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(this.rules, sourceType)) return false;
+
+        this.updateRules({ [sourceType]: null }, { author, comment });
+        return true;
+    }
+
+    // Adds or replaces one named rule in a source type's list (creating the list if needed)
+    saveNamedRule(sourceType, ruleName, rule, { dryRun = false, author, comment } = {}) {
+        const current = this.rules[sourceType];
+        if (current && !Array.isArray(current)) {
+            throw new RuleValidationError([{ field: sourceType, message: 'has a single rule, not a list of named rules' }]);
+        }
+
+        const { name, ...fields } = rule;
+        const entry = { name: ruleName, ...fields };
+        const list = (current || []).slice();
+        const index = list.findIndex(candidate => candidate.name === ruleName);
+        if (index === -1) {
+            list.push(entry);
+        } else {
+            list[index] = entry;
+        }
+
+        return this.updateRules({ [sourceType]: list }, { dryRun, author, comment });
+    }
+
+    // Returns false when there is no such named rule; removing the last one removes the source type
+    deleteNamedRule(sourceType, ruleName, { author, comment } = {}) {
+        const current = this.rules[sourceType];
+        if (!Array.isArray(current) || !current.some(candidate => candidate.name === ruleName)) return false;
+
+        const list = current.filter(candidate => candidate.name !== ruleName);
+        this.updateRules({ [sourceType]: list.length > 0 ? list : null }, { author, comment });
+        return true;
+    }
+
+    // Re-applies the rules of an earlier revision as a new revision; returns null if it does not exist.
+    // The rules are validated like an update, as they may predate today's schema.
+    rollback(revision, { author, comment } = {}) {
+        const target = this.revisions.get(revision);
+        if (!target) return null;
+
+        const errors = validateRules(target.rules, this.expressions);
+        if (errors.length > 0) throw new RuleValidationError(errors);
+
+        const diff = diffRules(this.rules, target.rules);
+        return {
+            rules: target.rules,
+            diff,
+            revision: this.applyRules(target.rules, diff, {
+                author,
+                comment: comment || `Rolled back to revision ${revision}`,
+                rollbackOf: revision
+            })
+        };
+    }
+
+    // Records a revision unless nothing changed; returns the current revision number
+    // persist is false when the rules came from the file itself
+    applyRules(rules, diff, { author, comment, rollbackOf, persist = true } = {}) {
+        const unchanged = [diff.added, diff.removed, diff.changed].every(part => Object.keys(part).length === 0);
+        if (unchanged) return this.revision;
+
+        const { revision } = this.revisions.record(rules, { author: author || 'anonymous', comment, rollbackOf });
+        this.rules = rules;
+        this.revision = revision;
+        if (persist) this.saveRules();
+        return this.revision;
+    }
+
+    getRevision() {
+        return this.revision;
+    }
+
+    listRevisions(options) {
+        return this.revisions.list(options);
+    }
+
+    getRevisionDetails(revision) {
+        return this.revisions.get(revision);
+    }
+
+    // Returns null when either revision does not exist
+    diffRevisions(fromRevision, toRevision) {
+        const from = this.revisions.get(fromRevision);
+        const to = this.revisions.get(toRevision);
+        if (!from || !to) return null;
+
+        return diffRules(from.rules, to.rules);
     }
 
     getRules() {
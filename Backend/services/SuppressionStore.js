@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const REDIS_KEY = 'suppressions';
+
+// Suppression rules: new alerts of the listed source types for a driver and/or
+// vehicle within [from, until) are created SUPPRESSED instead of being evaluated,
+// e.g. maintenance noise from a vehicle that is in the workshop.
+// With a redisManager (alerts stored in Redis) suppressions live in the
+// `suppressions` hash, one field per suppression, so every instance sharing Redis
+// applies the same ones. Otherwise, and for those created while Redis is
+// unreachable, they are kept in a JSON file; the latter are moved to Redis once it
+// is back. match runs on every new alert, so it only checks the suppressions held in
+// memory; those are re-read every SUPPRESSIONS_REFRESH_MS and on every list, create
+// and delete, which is also when ended ones are pruned.
+class SuppressionStore {
+    constructor(redisManager = null, filePath = process.env.SUPPRESSIONS_PATH || './data/suppressions.json') {
+        this.redis = redisManager;
+        this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', filePath);
+        this.shared = []; // Last read from Redis; used as is while it is unreachable
+        this.local = []; // Contents of the file
+        this.loadedMtime = null;
+        this.refreshing = null;
+
+        this.ready = this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), parseInt(process.env.SUPPRESSIONS_REFRESH_MS) || 5000);
+        this.refreshTimer.unref();
+    }
+
+    isShared() {
+        return Boolean(this.redis && this.redis.isConnected);
+    }
+
+    get suppressions() {
+        return this.shared.concat(this.local);
+    }
+
+    // Concurrent callers share the refresh in flight
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.load()
+                .catch(error => console.error(' Error refreshing suppressions:', error.message))
+                .finally(() => { this.refreshing = null; });
+        }
+        return this.refreshing;
+    }
+
+    async load() {
+        this.loadFile();
+        if (this.isShared()) {
+            await this.publishLocal();
+            const [stored] = await this.redis.pipeline([['hgetall', REDIS_KEY]]);
+            if (stored) this.shared = Object.values(stored).map(suppression => JSON.parse(suppression));
+        }
+
+        await this.prune();
+    }
+
+    // Re-reads the file when another process changed it
+    loadFile() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const mtime = fs.statSync(this.filePath).mtimeMs;
+            if (mtime === this.loadedMtime) return;
+
+            this.local = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.loadedMtime = mtime;
+        } catch (error) {
+            console.error(' Error loading suppressions:', error.message);
+        }
+    }
+
+    async publishLocal() {
+        if (this.local.length === 0) return;
+
+        const results = await this.redis.pipeline(this.local.map(suppression =>
+            ['hset', REDIS_KEY, suppression.suppressionId, JSON.stringify(suppression)]
+        ));
+        if (results.length !== this.local.length || results.includes(null)) return;
+
+        console.log(` Moved ${this.local.length} suppression(s) created while Redis was unreachable to Redis`);
+        this.local = [];
+        this.persist();
+    }
+
+    async prune(now = Date.now()) {
+        const hasEnded = suppression => new Date(suppression.until).getTime() <= now;
+        const ended = this.shared.filter(hasEnded);
+        const localEnded = this.local.some(hasEnded);
+
+        try {
+            if (ended.length > 0) {
+                this.shared = this.shared.filter(suppression => !ended.includes(suppression));
+                await this.redis.pipeline([['hdel', REDIS_KEY, ...ended.map(suppression => suppression.suppressionId)]]);
+            }
+            if (localEnded) {
+                this.local = this.local.filter(suppression => !hasEnded(suppression));
+                this.persist();
+            }
+        } catch (error) {
+            console.error(' Error pruning suppressions:', error.message);
+        }
+    }
+
+    // Redis writes fail loudly rather than leaving a suppression on one instance only
+    async write(command) {
+        const [result] = await this.redis.pipeline([command]);
+        if (result === undefined || result === null) {
+            throw new Error('Could not update suppressions: Redis is unavailable');
+        }
+        return result;
+    }
+
+    persist() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.local, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    }
+
+    // Returns an error message, or null when the suppression is valid
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return 'Body must be an object';
+
+        const sourceTypes = [].concat(data.sourceType || []);
+        if (sourceTypes.length === 0 || !sourceTypes.every(type => typeof type === 'string' && type)) {
+            return 'sourceType must be a source type or an array of source types';
+        }
+        if (!data.driverId && !data.vehicleId) return 'driverId or vehicleId is required';
+        if (['driverId', 'vehicleId'].some(field => data[field] !== undefined && typeof data[field] !== 'string')) {
+            return 'driverId and vehicleId must be strings';
+        }
+
+        if (!data.until || isNaN(new Date(data.until).getTime())) return 'until must be a valid date';
+        if (data.from !== undefined && isNaN(new Date(data.from).getTime())) return 'from must be a valid date';
+
+        const from = data.from ? new Date(data.from).getTime() : Date.now();
+        if (new Date(data.until).getTime() <= from) return 'until must be after from';
+
+        return null;
+    }
+
+    async create({ sourceType, driverId, vehicleId, from, until, reason, createdBy }) {
+        await this.refresh();
+
+        const suppression = {
+            suppressionId: uuidv4(),
+            sourceTypes: [].concat(sourceType),
+            driverId: driverId || null,
+            vehicleId: vehicleId || null,
+            from: new Date(from || Date.now()).toISOString(),
+            until: new Date(until).toISOString(),
+            reason: reason || null,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+
+        if (this.isShared()) {
+            await this.write(['hset', REDIS_KEY, suppression.suppressionId, JSON.stringify(suppression)]);
+            this.shared.push(suppression);
+            return suppression;
+        }
+
+        if (this.redis) {
+            console.warn(` Redis is unreachable; suppression ${suppression.suppressionId} applies to this instance until it is back`);
+        }
+        this.local.push(suppression);
+        this.persist();
+        return suppression;
+    }
+
+    // Returns false when there is no such suppression; deleting a shared one needs Redis
+    async delete(suppressionId) {
+        await this.refresh();
+
+        const remaining = this.local.filter(suppression => suppression.suppressionId !== suppressionId);
+        if (remaining.length !== this.local.length) {
+            this.local = remaining;
+            this.persist();
+            return true;
+        }
+        if (!this.redis) return false;
+        if (!this.isShared() && !this.shared.some(suppression => suppression.suppressionId === suppressionId)) return false;
+
+        const deleted = await this.write(['hdel', REDIS_KEY, suppressionId]);
+        this.shared = this.shared.filter(suppression => suppression.suppressionId !== suppressionId);
+        return deleted > 0;
+    }
+
+    // Newest first; `active` keeps the suppressions in effect at `now`
+    async list({ active = false, now = Date.now() } = {}) {
+        await this.refresh();
+
+        return this.suppressions
+            .filter(suppression => !active || this.isInEffect(suppression, now))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    isInEffect(suppression, at) {
+        return new Date(suppression.from).getTime() <= at && at < new Date(suppression.until).getTime();
+    }
+
+    // The suppression covering the alert when it was raised, or null
+    async match(alert) {
+        await this.ready;
+
+        const at = new Date(alert.timestamp).getTime();
+        const metadata = alert.metadata || {};
+        return this.suppressions.find(suppression =>
+            suppression.sourceTypes.includes(alert.sourceType) &&
+            (!suppression.driverId || suppression.driverId === metadata.driverId) &&
+            (!suppression.vehicleId || suppression.vehicleId === metadata.vehicleId) &&
+            this.isInEffect(suppression, at)
+        ) || null;
+    }
+}
+
+module.exports = SuppressionStore;
@@ -0,0 +1,300 @@
+const { ExpressionError } = require('../../utils/errors');
+
+// Operators by precedence, lowest first
+const BINARY_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+// Deepest nesting of parentheses, operators and operands, so that neither the
+// recursive parser nor the evaluator can overflow the stack
+const MAX_DEPTH = 100;
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(\|\||&&|==|!=|<=|>=|[<>+\-*/%!().]))/y;
+
+// Parses and evaluates rule conditions such as
+//   metadata.speed <= metadata.speedLimit
+//   metadata.rating >= 4 && metadata.feedback_resolved
+//   age_hours > 48
+// Expressions are parsed into a small AST and interpreted against a plain
+// context object: there is no eval, no function calls and no access to
+// anything but own properties of the context, so rules cannot run code.
+// A bare identifier that is not a context variable reads the metadata field
+// of that name, which keeps legacy conditions like "document_valid" working.
+class ExpressionEvaluator {
+    constructor() {
+        this.cache = new Map(); // expression -> AST
+    }
+
+    compile(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new ExpressionError('Expression must be a non-empty string', expression);
+        }
+        if (!this.cache.has(expression)) {
+            this.cache.set(expression, new Parser(expression).parse());
+        }
+        return this.cache.get(expression);
+    }
+
+    // Throws ExpressionError with the offending position when the expression is invalid
+    validate(expression) {
+        this.compile(expression);
+    }
+
+    evaluate(expression, context) {
+        return evaluateNode(this.compile(expression), context);
+    }
+
+    // Conditions hold only when they evaluate to true (or the string 'true')
+    test(expression, context) {
+        return isMatch(this.evaluate(expression, context));
+    }
+
+    // Like test, but also returns the value of every variable the expression reads
+    explain(expression, context) {
+        const node = this.compile(expression);
+        const values = {};
+        collectPaths(node).forEach(path => {
+            values[path.join('.')] = resolvePath(path, context);
+        });
+
+        const result = evaluateNode(node, context);
+        return { result, passed: isMatch(result), values };
+    }
+}
+
+class Parser {
+    constructor(expression) {
+        this.expression = expression;
+        this.tokens = this.tokenize(expression);
+        this.index = 0;
+        this.nesting = 0; // Open parentheses and unary operators being parsed
+        this.depths = new Map(); // node -> depth of its subtree
+    }
+
+    tokenize(expression) {
+        const tokens = [];
+        TOKEN_PATTERN.lastIndex = 0;
+
+        while (TOKEN_PATTERN.lastIndex < expression.length) {
+            const start = TOKEN_PATTERN.lastIndex;
+            if (!expression.slice(start).trim()) break;
+
+            const match = TOKEN_PATTERN.exec(expression);
+            if (!match) {
+                const position = start + (expression.slice(start).length - expression.slice(start).trimStart().length);
+                throw new ExpressionError(`Unexpected character '${expression[position]}'`, expression, position);
+            }
+
+            const position = match.index + match[0].length - match[0].trimStart().length;
+            const [, number, string, identifier, operator] = match;
+            if (number !== undefined) {
+                tokens.push({ type: 'literal', value: Number(number), position });
+            } else if (string !== undefined) {
+                tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1'), position });
+            } else if (identifier !== undefined) {
+                tokens.push(Object.prototype.hasOwnProperty.call(KEYWORDS, identifier)
+                    ? { type: 'literal', value: KEYWORDS[identifier], position }
+                    : { type: 'identifier', value: identifier, position });
+            } else {
+                tokens.push({ type: 'operator', value: operator, position });
+            }
+        }
+
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(token, operators) {
+        return token && token.type === 'operator' && operators.includes(token.value);
+    }
+
+    fail(message, token = this.peek()) {
+        throw new ExpressionError(message, this.expression, token ? token.position : this.expression.length);
+    }
+
+    // Counts one more level of parentheses or unary operators while parsing them
+    enter(token) {
+        if (++this.nesting > MAX_DEPTH) this.fail(`Expression is nested more than ${MAX_DEPTH} levels deep`, token);
+    }
+
+    // A binary or unary node, as long as its subtree stays within MAX_DEPTH
+    branch(node, children, token) {
+        const depth = 1 + Math.max(...children.map(child => this.depths.get(child) || 1));
+        if (depth > MAX_DEPTH) this.fail(`Expression is nested more than ${MAX_DEPTH} levels deep`, token);
+        this.depths.set(node, depth);
+        return node;
+    }
+
+    parse() {
+        const node = this.parseBinary(0);
+        if (this.peek()) this.fail(`Unexpected '${this.peek().value}'`);
+        return node;
+    }
+
+    parseBinary(level) {
+        if (level === BINARY_PRECEDENCE.length) return this.parseUnary();
+
+        let left = this.parseBinary(level + 1);
+        while (this.isOperator(this.peek(), BINARY_PRECEDENCE[level])) {
+            const token = this.next();
+            const right = this.parseBinary(level + 1);
+            left = this.branch({ type: 'binary', op: token.value, left, right }, [left, right], token);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOperator(this.peek(), ['!', '-'])) {
+            const token = this.next();
+            this.enter(token);
+            const operand = this.parseUnary();
+            this.nesting--;
+            return this.branch({ type: 'unary', op: token.value, operand }, [operand], token);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) this.fail('Unexpected end of expression', null);
+
+        if (token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            const path = [token.value];
+            while (this.isOperator(this.peek(), ['.'])) {
+                this.next();
+                const property = this.next();
+                if (!property || property.type !== 'identifier') this.fail('Expected property name after \'.\'', property || null);
+                path.push(property.value);
+            }
+            return { type: 'path', path };
+        }
+
+        if (this.isOperator(token, ['('])) {
+            this.enter(token);
+            const node = this.parseBinary(0);
+            if (!this.isOperator(this.next(), [')'])) this.fail('Expected \')\'', this.tokens[this.index - 1] || null);
+            this.nesting--;
+            return node;
+        }
+
+        this.fail(`Unexpected '${token.value}'`, token);
+    }
+}
+
+function isMatch(result) {
+    return result === true || result === 'true';
+}
+
+function collectPaths(node, paths = []) {
+    if (node.type === 'path') paths.push(node.path);
+    if (node.type === 'unary') collectPaths(node.operand, paths);
+    if (node.type === 'binary') {
+        collectPaths(node.left, paths);
+        collectPaths(node.right, paths);
+    }
+    return paths;
+}
+
+function isTruthy(value) {
+    if (typeof value === 'string') return value !== '' && value !== 'false';
+    return Boolean(value);
+}
+
+// Metadata often carries numbers and flags as strings, so '42' compares as 42 and 'true' as true
+function toComparable(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+function readOwn(object, key) {
+    if (object === null || typeof object !== 'object') return null;
+    return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null;
+}
+
+function resolvePath(path, context) {
+    const [head, ...rest] = path;
+    let value = Object.prototype.hasOwnProperty.call(context, head)
+        ? context[head]
+        : readOwn(context.metadata, head);
+
+    for (const key of rest) value = readOwn(value, key);
+    return value === undefined ? null : value;
+}
+
+function compare(op, left, right) {
+    const a = toComparable(left);
+    const b = toComparable(right);
+
+    if (op === '==') return a === b;
+    if (op === '!=') return a !== b;
+
+    // Ordering only applies to two numbers or two strings; anything else is false
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) return false;
+    switch (op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+    }
+}
+
+function arithmetic(op, left, right) {
+    const a = toComparable(left);
+    const b = toComparable(right);
+
+    if (op === '+' && typeof left === 'string' && typeof right === 'string' && (typeof a !== 'number' || typeof b !== 'number')) {
+        return left + right;
+    }
+    if (typeof a !== 'number' || typeof b !== 'number') return null;
+
+    switch (op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '%': return b === 0 ? null : a % b;
+    }
+}
+
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'path':
+            return resolvePath(node.path, context);
+        case 'unary': {
+            const value = evaluateNode(node.operand, context);
+            if (node.op === '!') return !isTruthy(value);
+            const number = toComparable(value);
+            return typeof number === 'number' ? -number : null;
+        }
+        case 'binary':
+            if (node.op === '&&') return isTruthy(evaluateNode(node.left, context)) && isTruthy(evaluateNode(node.right, context));
+            if (node.op === '||') return isTruthy(evaluateNode(node.left, context)) || isTruthy(evaluateNode(node.right, context));
+            if (['==', '!=', '<', '<=', '>', '>='].includes(node.op)) {
+                return compare(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+            }
+            return arithmetic(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+    }
+}
+
+module.exports = ExpressionEvaluator;
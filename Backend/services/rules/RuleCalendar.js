@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEARLY_HOLIDAY = /^\d{2}-\d{2}$/;
+
+// minute, hour, day of month, month, day of week (0 and 7 are Sunday)
+const CRON_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+// Parses one cron field such as "*", "22-23,0-5", "*/15" or "1-5" into the set of values it allows
+function parseCronField(field, min, max) {
+    const allowed = new Set();
+
+    field.split(',').forEach(part => {
+        const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw new Error(`Invalid cron field '${field}'`);
+
+        const step = match[3] ? parseInt(match[3]) : 1;
+        const start = match[1] === undefined ? min : parseInt(match[1]);
+        const end = match[1] === undefined || (match[2] === undefined && match[3])
+            ? max
+            : parseInt(match[2] === undefined ? match[1] : match[2]);
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Cron field '${field}' must be within ${min}-${max}`);
+        }
+
+        for (let value = start; value <= end; value += step) allowed.add(value);
+    });
+
+    return allowed;
+}
+
+// "HH:MM" -> minutes since midnight
+function parseTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time);
+    if (!match) throw new Error(`Invalid time '${time}' (expected HH:MM)`);
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// Holiday calendars and schedules for rule variants.
+// Calendars come from CALENDARS_FILE_PATH, keyed by name:
+//   { "default": { "timezone": "Asia/Kolkata", "weekend": ["SAT", "SUN"], "holidays": ["01-26", "2026-03-04"] } }
+// Holidays are dates (YYYY-MM-DD) or yearly dates (MM-DD). Schedules and business
+// days are evaluated in the calendar's timezone (RULES_TIMEZONE when it has none).
+class RuleCalendar {
+    constructor(filePath = process.env.CALENDARS_FILE_PATH || 'calendars.json') {
+        this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', '..', filePath);
+        this.calendars = this.loadCalendars();
+        this.formatters = new Map(); // timezone -> Intl.DateTimeFormat
+        this.crons = new Map(); // expression -> parsed fields
+        this.warned = new Set();
+    }
+
+    static parseCron(expression) {
+        const fields = String(expression).trim().split(/\s+/);
+        if (fields.length !== 5) throw new Error(`Cron expression '${expression}' must have 5 fields`);
+
+        const [minute, hour, day, month, weekday] = fields.map((field, index) => parseCronField(field, ...CRON_RANGES[index]));
+        if (weekday.has(7)) weekday.add(0);
+        return { minute, hour, day, month, weekday };
+    }
+
+    static parseTime(time) {
+        return parseTime(time);
+    }
+
+    static isTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    loadCalendars() {
+        const calendars = {};
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))).forEach(([name, calendar]) => {
+                    if (calendar.timezone && !RuleCalendar.isTimezone(calendar.timezone)) {
+                        console.warn(` Calendar '${name}' has an unknown timezone '${calendar.timezone}', using ${this.defaultTimezone()}`);
+                    }
+                    calendars[name] = this.normalize(calendar);
+                });
+            }
+        } catch (error) {
+            console.error('Error loading calendars:', error);
+        }
+
+        return calendars;
+    }
+
+    defaultTimezone() {
+        return process.env.RULES_TIMEZONE || 'UTC';
+    }
+
+    normalize(calendar = {}) {
+        return {
+            timezone: calendar.timezone && RuleCalendar.isTimezone(calendar.timezone) ? calendar.timezone : this.defaultTimezone(),
+            weekend: calendar.weekend || ['SAT', 'SUN'],
+            holidays: new Set(calendar.holidays || [])
+        };
+    }
+
+    // Unknown names fall back to the default calendar (with a warning once)
+    getCalendar(name = 'default') {
+        if (this.calendars[name]) return this.calendars[name];
+
+        if (name !== 'default' && !this.warned.has(name)) {
+            this.warned.add(name);
+            console.warn(` Unknown calendar '${name}', using the default calendar`);
+        }
+        return this.calendars.default || (this.calendars.default = this.normalize());
+    }
+
+    // Wall-clock date and time of `now` (ms) in the timezone
+    localTime(now, timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                weekday: 'short',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            }));
+        }
+
+        const parts = {};
+        this.formatters.get(timezone).formatToParts(new Date(now)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            month: parseInt(parts.month),
+            day: parseInt(parts.day),
+            weekday: parts.weekday.toUpperCase(),
+            hour: parseInt(parts.hour),
+            minute: parseInt(parts.minute)
+        };
+    }
+
+    isHoliday(local, calendar) {
+        return calendar.holidays.has(local.date) || calendar.holidays.has(local.date.slice(5));
+    }
+
+    isBusinessDay(local, calendar) {
+        return !calendar.weekend.includes(local.weekday) && !this.isHoliday(local, calendar);
+    }
+
+    // All conditions present in the schedule must hold
+    matchesSchedule(schedule, now, calendarName) {
+        const calendar = this.getCalendar(calendarName);
+        const local = this.localTime(now, calendar.timezone);
+        const minutes = local.hour * 60 + local.minute;
+
+        if (schedule.days && !schedule.days.includes(local.weekday)) return false;
+
+        // A range whose end is before its start wraps past midnight, e.g. 22:00-06:00
+        if (schedule.between) {
+            const [from, to] = schedule.between.map(parseTime);
+            const inRange = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+            if (!inRange) return false;
+        }
+
+        if (schedule.cron) {
+            if (!this.crons.has(schedule.cron)) this.crons.set(schedule.cron, RuleCalendar.parseCron(schedule.cron));
+            const cron = this.crons.get(schedule.cron);
+            const matches = cron.minute.has(local.minute) &&
+                cron.hour.has(local.hour) &&
+                cron.day.has(local.day) &&
+                cron.month.has(local.month) &&
+                cron.weekday.has(WEEKDAYS.indexOf(local.weekday));
+            if (!matches) return false;
+        }
+
+        if (schedule.holiday !== undefined && this.isHoliday(local, calendar) !== schedule.holiday) return false;
+        if (schedule.business_day !== undefined && this.isBusinessDay(local, calendar) !== schedule.business_day) return false;
+
+        return true;
+    }
+
+    // Whole days since `timestamp`, counting only those that end on a business day.
+    // Whole weeks are counted arithmetically, then the remaining days, minus the
+    // holidays in range that fall on a working weekday.
+    businessDaysSince(timestamp, now, calendarName) {
+        const calendar = this.getCalendar(calendarName);
+        const start = new Date(timestamp).getTime();
+        const days = Math.floor((now - start) / DAY_MS);
+        if (!(days > 0)) return 0;
+
+        // Local dates as UTC midnights, so consecutive days are DAY_MS apart
+        const first = this.localTime(start + DAY_MS, calendar.timezone);
+        const firstDay = Date.UTC(parseInt(first.date.slice(0, 4)), first.month - 1, first.day);
+        const lastDay = firstDay + (days - 1) * DAY_MS;
+        const isWorkingWeekday = weekday => !calendar.weekend.includes(WEEKDAYS[weekday % 7]);
+
+        let count = Math.floor(days / 7) * WEEKDAYS.filter((day, weekday) => isWorkingWeekday(weekday)).length;
+        const firstWeekday = WEEKDAYS.indexOf(first.weekday);
+        for (let offset = 0; offset < days % 7; offset++) {
+            if (isWorkingWeekday(firstWeekday + offset)) count++;
+        }
+
+        const firstYear = new Date(firstDay).getUTCFullYear();
+        const lastYear = new Date(lastDay).getUTCFullYear();
+        const holidays = new Set();
+        calendar.holidays.forEach(holiday => {
+            const dates = [];
+            if (YEARLY_HOLIDAY.test(holiday)) {
+                for (let year = firstYear; year <= lastYear; year++) dates.push(`${year}-${holiday}`);
+            } else {
+                dates.push(holiday);
+            }
+
+            dates.forEach(date => {
+                const day = Date.parse(`${date}T00:00:00Z`);
+                if (day >= firstDay && day <= lastDay && new Date(day).toISOString().startsWith(date) &&
+                    isWorkingWeekday(new Date(day).getUTCDay())) {
+                    holidays.add(day);
+                }
+            });
+        });
+
+        return count - holidays.size;
+    }
+}
+
+RuleCalendar.WEEKDAYS = WEEKDAYS;
+
+module.exports = RuleCalendar;
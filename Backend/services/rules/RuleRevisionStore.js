@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// Immutable, numbered history of rule sets.
+// Every applied change appends { revision, rules, author, comment, createdAt, rollbackOf }
+// to an NDJSON file; revisions are never rewritten, a rollback is a new revision
+// carrying an older rule set.
+class RuleRevisionStore {
+    constructor(filePath = process.env.RULE_REVISIONS_PATH || './data/rule-revisions.ndjson') {
+        this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', '..', filePath);
+        this.revisions = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+            for (const line of lines) {
+                try {
+                    this.revisions.push(JSON.parse(line));
+                } catch (error) {
+                    console.error(' Skipping unreadable rule revision:', error.message);
+                }
+            }
+        } catch (error) {
+            console.error(' Error loading rule revisions:', error);
+        }
+    }
+
+    latest() {
+        return this.revisions[this.revisions.length - 1] || null;
+    }
+
+    // Newest revision whose rules pass `accept`, or null
+    findLatest(accept) {
+        for (let i = this.revisions.length - 1; i >= 0; i--) {
+            if (accept(this.revisions[i].rules)) return this.revisions[i];
+        }
+        return null;
+    }
+
+    get(revision) {
+        return this.revisions.find(entry => entry.revision === revision) || null;
+    }
+
+    // Newest first, without the rule bodies
+    list({ limit, offset = 0 } = {}) {
+        const summaries = this.revisions.slice().reverse().map(({ rules, ...summary }) => ({
+            ...summary,
+            ruleCount: Object.keys(rules).length
+        }));
+
+        return {
+            revisions: limit === undefined ? summaries.slice(offset) : summaries.slice(offset, offset + limit),
+            total: summaries.length
+        };
+    }
+
+    // Throws when the revision cannot be written, so the change is not applied
+    record(rules, { author = null, comment = null, rollbackOf = null } = {}) {
+        const latest = this.latest();
+        const entry = {
+            revision: latest ? latest.revision + 1 : 1,
+            rules,
+            author,
+            comment,
+            createdAt: new Date().toISOString(),
+            rollbackOf
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            throw new Error(`Could not record rule revision ${entry.revision}: ${error.message}`);
+        }
+
+        this.revisions.push(entry);
+        return entry;
+    }
+}
+
+module.exports = RuleRevisionStore;
@@ -0,0 +1,420 @@
+const { SEVERITY_LEVELS } = require('../../config/constants');
+const RuleCalendar = require('./RuleCalendar');
+
+const SEVERITIES = Object.values(SEVERITY_LEVELS);
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isPositiveNumber = value => typeof value === 'number' && isFinite(value) && value > 0;
+const isNonNegativeNumber = value => typeof value === 'number' && isFinite(value) && value >= 0;
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+const isTime = value => succeeds(() => RuleCalendar.parseTime(value));
+const isCron = value => typeof value === 'string' && succeeds(() => RuleCalendar.parseCron(value));
+
+function succeeds(parse) {
+    try {
+        parse();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const SEVERITY_FIELD = { check: value => SEVERITIES.includes(value), message: `must be one of ${SEVERITIES.join(', ')}` };
+
+// One metadata path or a list of them, e.g. "routeId", ["driverId", "metadata.trip.id"]
+const isMetadataPath = value => typeof value === 'string' && /^[\w$]+(\.[\w$]+)*$/.test(value);
+const GROUP_BY_FIELD = {
+    check: value => isMetadataPath(value) || (Array.isArray(value) && value.length > 0 && value.every(isMetadataPath)),
+    message: 'must be a metadata path or a non-empty array of metadata paths'
+};
+
+// Field name -> { check(value), message } | { expression } | { validate(value, expressions, error) }
+const RULE_FIELDS = {
+    escalate_if_count: { check: isPositiveInteger, message: 'must be a positive integer' },
+    window_mins: { check: isPositiveNumber, message: 'must be a positive number' },
+    escalate_if_days: { check: isPositiveNumber, message: 'must be a positive number' },
+    escalate_if_unacked_mins: { check: isPositiveNumber, message: 'must be a positive number' },
+    escalate_to_severity: SEVERITY_FIELD,
+    escalate_if: { expression: true },
+    auto_close_if: { expression: true },
+    escalation_tiers: { validate: validateTiers },
+    group_by: GROUP_BY_FIELD,
+    de_escalation: { validate: validateDeEscalation },
+    correlate: { validate: validateCorrelation },
+    calendar: { check: isNonEmptyString, message: 'must be a calendar name' },
+    business_days: { check: value => typeof value === 'boolean', message: 'must be true or false' },
+    variants: { validate: validateVariants }
+};
+
+// Fields of an entry in a list of named rules, on top of the rule fields
+const NAMED_RULE_FIELDS = {
+    name: { check: isNonEmptyString, message: 'must be a non-empty string' },
+    priority: { check: value => typeof value === 'number' && isFinite(value), message: 'must be a number' },
+    enabled: { check: value => typeof value === 'boolean', message: 'must be true or false' },
+    stop_processing: { check: value => typeof value === 'boolean', message: 'must be true or false' },
+    match: { expression: true }
+};
+
+// A variant may override any rule field except these
+const BASE_ONLY_FIELDS = ['variants', 'correlate', 'calendar'];
+
+const SCHEDULE_FIELDS = {
+    days: {
+        check: value => Array.isArray(value) && value.length > 0 && value.every(day => RuleCalendar.WEEKDAYS.includes(day)),
+        message: `must be a non-empty array of ${RuleCalendar.WEEKDAYS.join(', ')}`
+    },
+    between: {
+        check: value => Array.isArray(value) && value.length === 2 && value.every(isTime),
+        message: 'must be [from, to] in HH:MM, e.g. ["22:00", "06:00"]'
+    },
+    cron: { check: isCron, message: 'must be a 5-field cron expression (minute hour day month weekday)' },
+    holiday: { check: value => typeof value === 'boolean', message: 'must be true or false' },
+    business_day: { check: value => typeof value === 'boolean', message: 'must be true or false' }
+};
+
+// Fields of one step on an escalation ladder
+const TIER_FIELDS = {
+    name: { check: isNonEmptyString, message: 'must be a non-empty string' },
+    severity: SEVERITY_FIELD,
+    after_mins: { check: isPositiveNumber, message: 'must be a positive number' },
+    escalate_if_count: { check: isPositiveInteger, message: 'must be a positive integer' },
+    window_mins: { check: isPositiveNumber, message: 'must be a positive number' },
+    group_by: GROUP_BY_FIELD,
+    escalate_if: { expression: true },
+    cooldown_mins: { check: isNonNegativeNumber, message: 'must be a non-negative number' },
+    notify: { check: isNonEmptyString, message: 'must be a non-empty string' }
+};
+
+// Fields that must appear together, and fields that need another one to have any effect
+const REQUIRED_TOGETHER = [['escalate_if_count', 'window_mins']];
+const ESCALATION_TRIGGERS = ['escalate_if_count', 'escalate_if_days', 'escalate_if_unacked_mins', 'escalate_if'];
+const TIER_TRIGGERS = ['after_mins', 'escalate_if_count', 'escalate_if'];
+
+const DE_ESCALATION_FIELDS = {
+    severity: SEVERITY_FIELD,
+    quiet_mins: { check: isPositiveNumber, message: 'must be a positive number' },
+    group_by: GROUP_BY_FIELD,
+    de_escalate_if: { expression: true }
+};
+const DE_ESCALATION_TRIGGERS = ['quiet_mins', 'de_escalate_if'];
+
+// A correlation raises a composite alert of the rule's source type
+const CORRELATE_FIELDS = {
+    source_types: {
+        check: value => Array.isArray(value) && value.length >= 2 && value.every(isNonEmptyString) && new Set(value).size === value.length,
+        message: 'must be an array of at least two distinct source types'
+    },
+    window_mins: { check: isPositiveNumber, message: 'must be a positive number' },
+    group_by: GROUP_BY_FIELD,
+    severity: SEVERITY_FIELD
+};
+
+// Checks each field against its definition; error(field, message, extra) collects failures
+function validateFields(object, definitions, expressions, error) {
+    Object.entries(object).forEach(([field, value]) => {
+        const definition = definitions[field];
+        if (!definition) {
+            error(field, `is not a known field (expected ${Object.keys(definitions).join(', ')})`);
+        } else if (definition.expression) {
+            try {
+                expressions.validate(value);
+            } catch (expressionError) {
+                error(field, expressionError.message, { position: expressionError.position });
+            }
+        } else if (definition.validate) {
+            definition.validate(value, expressions, (nestedField, message, extra) => error(`${field}${nestedField}`, message, extra));
+        } else if (!definition.check(value)) {
+            error(field, `${definition.message} (got ${JSON.stringify(value)})`);
+        }
+    });
+
+    // Only pairs the object can hold, e.g. a correlation's window_mins stands alone
+    REQUIRED_TOGETHER.filter(fields => fields.every(field => definitions[field])).forEach(fields => {
+        const present = fields.filter(field => object[field] !== undefined);
+        if (present.length > 0 && present.length < fields.length) {
+            fields.filter(field => object[field] === undefined)
+                .forEach(field => error(field, `is required with ${present.join(', ')}`));
+        }
+    });
+}
+
+// Tiers are climbed in order, so severities may not decrease along the ladder
+function validateTiers(tiers, expressions, error) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        error('', 'must be a non-empty array of tiers');
+        return;
+    }
+
+    let previousSeverity = null;
+    tiers.forEach((tier, index) => {
+        const tierError = (field, message, extra) => error(`[${index}]${field ? `.${field}` : ''}`, message, extra);
+
+        if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+            tierError('', 'must be an object');
+            return;
+        }
+
+        validateFields(tier, TIER_FIELDS, expressions, tierError);
+
+        if (!TIER_TRIGGERS.some(field => tier[field] !== undefined)) {
+            tierError('', `needs at least one trigger (${TIER_TRIGGERS.join(', ')})`);
+        }
+        if (tier.group_by !== undefined && tier.escalate_if_count === undefined) {
+            tierError('group_by', 'has no effect without escalate_if_count');
+        }
+        if (tier.severity === undefined && tier.notify === undefined) {
+            tierError('', 'needs a severity, a notify target or both');
+        }
+        if (SEVERITIES.includes(tier.severity)) {
+            if (previousSeverity && SEVERITIES.indexOf(tier.severity) < SEVERITIES.indexOf(previousSeverity)) {
+                tierError('severity', `must not be lower than the previous tier (${previousSeverity})`);
+            }
+            previousSeverity = tier.severity;
+        }
+    });
+}
+
+// De-escalation only ever lowers severity, so it needs a target and a stabilization trigger
+function validateDeEscalation(deEscalation, expressions, error) {
+    if (!deEscalation || typeof deEscalation !== 'object' || Array.isArray(deEscalation)) {
+        error('', 'must be an object');
+        return;
+    }
+
+    validateFields(deEscalation, DE_ESCALATION_FIELDS, expressions, (field, message, extra) => error(`.${field}`, message, extra));
+
+    if (deEscalation.severity === undefined) {
+        error('.severity', 'is required');
+    }
+    if (!DE_ESCALATION_TRIGGERS.some(field => deEscalation[field] !== undefined)) {
+        error('', `needs at least one trigger (${DE_ESCALATION_TRIGGERS.join(', ')})`);
+    }
+    if (deEscalation.group_by !== undefined && deEscalation.quiet_mins === undefined) {
+        error('.group_by', 'has no effect without quiet_mins');
+    }
+}
+
+function validateCorrelation(correlate, expressions, error) {
+    if (!correlate || typeof correlate !== 'object' || Array.isArray(correlate)) {
+        error('', 'must be an object');
+        return;
+    }
+
+    validateFields(correlate, CORRELATE_FIELDS, expressions, (field, message, extra) => error(`.${field}`, message, extra));
+
+    Object.keys(CORRELATE_FIELDS)
+        .filter(field => correlate[field] === undefined)
+        .forEach(field => error(`.${field}`, 'is required'));
+}
+
+// Variants are checked for shape here; validateRule checks each one merged over its base rule
+function validateVariants(variants, expressions, error) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+        error('', 'must be a non-empty array of variants');
+        return;
+    }
+
+    const names = new Set();
+    variants.forEach((variant, index) => {
+        const variantError = (field, message) => error(`[${index}]${field ? `.${field}` : ''}`, message);
+
+        if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+            variantError('', 'must be an object');
+            return;
+        }
+
+        if (!isNonEmptyString(variant.name)) {
+            variantError('name', 'is required');
+        } else if (names.has(variant.name)) {
+            variantError('name', `duplicates variant '${variant.name}'`);
+        }
+        names.add(variant.name);
+
+        if (!variant.schedule || typeof variant.schedule !== 'object' || Array.isArray(variant.schedule)) {
+            variantError('schedule', 'is required');
+        } else {
+            validateFields(variant.schedule, SCHEDULE_FIELDS, expressions, (field, message) => variantError(`schedule.${field}`, message));
+            if (Object.keys(variant.schedule).length === 0) {
+                variantError('schedule', `needs at least one of ${Object.keys(SCHEDULE_FIELDS).join(', ')}`);
+            }
+        }
+
+        Object.keys(variant)
+            .filter(field => field !== 'name' && field !== 'schedule')
+            .filter(field => !RULE_FIELDS[field] || BASE_ONLY_FIELDS.includes(field))
+            .forEach(field => variantError(field, BASE_ONLY_FIELDS.includes(field)
+                ? 'can only be set on the base rule'
+                : 'is not a rule field a variant can override'));
+    });
+}
+
+// The rule a variant produces while its schedule is active
+function mergeVariant(rule, variant) {
+    const { variants, ...base } = rule;
+    const { name, schedule, ...overrides } = variant;
+    return { ...base, ...overrides };
+}
+
+// Validates one rule object; returns [{ field, message }] with fields prefixed by the
+// label (the source type, or e.g. "overspeed[1]" for an entry of a rule list).
+// Each variant must also make a valid rule once merged over the base.
+function validateRule(sourceType, rule, expressions, label = sourceType) {
+    const errors = validateRuleFields(label, rule, expressions, sourceType);
+    if (errors.length > 0 || !Array.isArray(rule.variants)) return errors;
+
+    rule.variants.forEach((variant, index) => {
+        errors.push(...validateRuleFields(`${label}.variants[${index}]`, mergeVariant(rule, variant), expressions, sourceType));
+    });
+    return errors;
+}
+
+// Each entry is a rule plus its name (unique within the list), priority, enabled flag,
+// stop_processing option and match expression
+function validateRuleList(sourceType, rules, expressions) {
+    if (rules.length === 0) {
+        return [{ field: sourceType, message: 'must not be an empty list; use null to delete the rules' }];
+    }
+
+    const errors = [];
+    const names = new Set();
+    rules.forEach((entry, index) => {
+        const label = `${sourceType}[${index}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push({ field: label, message: 'must be an object' });
+            return;
+        }
+
+        const { rule, options } = splitNamedRule(entry);
+        validateFields(options, NAMED_RULE_FIELDS, expressions, (field, message, extra = {}) => {
+            errors.push({ field: `${label}.${field}`, message, ...extra });
+        });
+
+        if (options.name === undefined) {
+            errors.push({ field: `${label}.name`, message: 'is required' });
+        } else if (names.has(options.name)) {
+            errors.push({ field: `${label}.name`, message: `duplicates rule '${options.name}'` });
+        }
+        names.add(options.name);
+
+        errors.push(...validateRule(sourceType, rule, expressions, label));
+    });
+    return errors;
+}
+
+// Separates the list options (name, priority, ...) from the rule fields of a list entry
+function splitNamedRule(entry) {
+    const rule = {};
+    const options = {};
+    Object.entries(entry).forEach(([field, value]) => {
+        (NAMED_RULE_FIELDS[field] ? options : rule)[field] = value;
+    });
+    return { rule, options };
+}
+
+function validateRuleFields(label, rule, expressions, sourceType = label) {
+    const errors = [];
+    const error = (field, message, extra = {}) => errors.push({ field: `${label}.${field}`, message, ...extra });
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return [{ field: label, message: 'must be an object, a list of named rules, or null to delete the rule' }];
+    }
+
+    validateFields(rule, RULE_FIELDS, expressions, error);
+
+    if (rule.correlate && Array.isArray(rule.correlate.source_types) && rule.correlate.source_types.includes(sourceType)) {
+        error('correlate.source_types', 'cannot include the composite source type itself');
+    }
+
+    // A rule-level group_by is the default for count triggers on its tiers
+    if (rule.group_by !== undefined && rule.escalate_if_count === undefined && rule.escalation_tiers === undefined) {
+        error('group_by', 'has no effect without escalate_if_count or escalation_tiers');
+    }
+
+    const triggers = ESCALATION_TRIGGERS.filter(field => rule[field] !== undefined);
+    if (rule.escalation_tiers !== undefined) {
+        [...triggers, 'escalate_to_severity', 'window_mins']
+            .filter(field => rule[field] !== undefined)
+            .forEach(field => error(field, 'cannot be combined with escalation_tiers; define it on a tier instead'));
+        return errors;
+    }
+
+    if (triggers.length > 0 && rule.escalate_to_severity === undefined) {
+        error('escalate_to_severity', `is required with ${triggers.join(', ')}`);
+    }
+    if (triggers.length === 0 && rule.escalate_to_severity !== undefined) {
+        error('escalate_to_severity', `has no effect without one of ${ESCALATION_TRIGGERS.join(', ')}`);
+    }
+
+    return errors;
+}
+
+const SINGLE_RULE = '(rule)';
+
+// Validates a rules update; null values are deletions and are not checked here
+function validateRules(rules, expressions) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return [{ field: 'rules', message: 'must be an object keyed by source type' }];
+    }
+
+    return Object.entries(rules)
+        .filter(([, rule]) => rule !== null)
+        .flatMap(([sourceType, rule]) => Array.isArray(rule)
+            ? validateRuleList(sourceType, rule, expressions)
+            : validateRule(sourceType, rule, expressions));
+}
+
+// Rule lists are compared by rule name, plus their order when only that changed.
+// A single rule compared with a list is keyed as SINGLE_RULE, as a list of one.
+function diffFields(before, after) {
+    if (!Array.isArray(before) && !Array.isArray(after)) return { before, after };
+
+    const byName = rules => Array.isArray(rules)
+        ? Object.fromEntries(rules.map(rule => [rule.name, rule]))
+        : { [SINGLE_RULE]: rules };
+    const order = rules => rules.map(rule => rule.name);
+    const fields = { before: byName(before), after: byName(after) };
+    if (Array.isArray(before) && Array.isArray(after) && JSON.stringify(order(before)) !== JSON.stringify(order(after))) {
+        fields.before['(order)'] = order(before);
+        fields.after['(order)'] = order(after);
+    }
+    return fields;
+}
+
+// Field-level diff between two rule sets: { added, removed, changed: { sourceType: { field: { from, to } } } }.
+// For a list of named rules the fields are the rule names.
+function diffRules(before, after) {
+    const diff = { added: {}, removed: {}, changed: {} };
+
+    Object.keys(after).forEach(sourceType => {
+        if (!before[sourceType]) {
+            diff.added[sourceType] = after[sourceType];
+            return;
+        }
+
+        const compared = diffFields(before[sourceType], after[sourceType]);
+        const fields = new Set([...Object.keys(compared.before), ...Object.keys(compared.after)]);
+        fields.forEach(field => {
+            const from = compared.before[field];
+            const to = compared.after[field];
+            if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+            diff.changed[sourceType] = diff.changed[sourceType] || {};
+            diff.changed[sourceType][field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+        });
+    });
+
+    Object.keys(before).forEach(sourceType => {
+        if (!after[sourceType]) diff.removed[sourceType] = before[sourceType];
+    });
+
+    return diff;
+}
+
+module.exports = {
+    RULE_FIELDS,
+    TIER_FIELDS,
+    mergeVariant,
+    validateRule,
+    validateRules,
+    diffRules
+};
@@ -0,0 +1,298 @@
+const Alert = require('../../models/Alert');
+const RuleEngine = require('../RuleEngine');
+const MemoryStorageAdapter = require('../storage/MemoryStorageAdapter');
+const { ALERT_STATES, EVENT_TYPES } = require('../../config/constants');
+const { RuleValidationError, SimulationLimitError } = require('../../utils/errors');
+const { validateRules } = require('./RuleSchema');
+
+const MAX_TICKS = 5000;
+const MAX_STEP_MINUTES = 60;
+const DEFAULT_RANGE_DAYS = 7;
+const DEFAULT_MAX_EVALUATIONS = 500000;
+const EVALUATIONS_PER_YIELD = 500;
+
+// Backtests a candidate rule set against stored alerts.
+// Alerts created in the range are replayed chronologically on a virtual clock:
+// each alert is evaluated when it is created (as createAlert does) and all
+// active alerts on every background job tick, repeats of deduplicated alerts,
+// metadata updates, manual acknowledgements and resolutions are applied when
+// they happened, and the outcome is compared with each alert's real history.
+// The work is bounded: ticks get coarser so ticks x alerts stays within
+// SIMULATION_MAX_EVALUATIONS, a range that would need ticks further apart than
+// MAX_STEP_MINUTES is rejected, and the replay yields to other requests as it goes.
+// Everything runs on copies through a detached RuleEngine, so nothing is saved
+// and no history events are written; count windows come from a private
+// in-memory store that mirrors the copies as they change.
+class RuleSimulator {
+    constructor(storageManager, currentRules) {
+        this.storageManager = storageManager;
+        this.currentRules = currentRules;
+    }
+
+    async simulate({ rules, from, to, stepMinutes, limit = 100 } = {}) {
+        const candidateRules = rules || this.currentRules();
+        const engine = new RuleEngine({ rules: candidateRules });
+        const errors = validateRules(candidateRules, engine.expressions);
+        if (errors.length > 0) throw new RuleValidationError(errors);
+
+        const end = to ? new Date(to).getTime() : Date.now();
+        const start = from ? new Date(from).getTime() : end - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000;
+        const jobStep = (stepMinutes || parseFloat(process.env.BACKGROUND_JOB_INTERVAL_MINUTES) || 2) * 60 * 1000;
+
+        // Alerts shortly before the range still count towards escalation windows and quiet periods
+        const windowSpecs = engine.getWindowSpecs();
+        const lookbackMs = Math.max(0, ...windowSpecs.map(spec => spec.horizonMs));
+        const { alerts: storedAlerts } = await this.storageManager.queryAlerts({
+            from: new Date(start - lookbackMs).toISOString(),
+            to: new Date(end).toISOString()
+        });
+
+        // Long ranges and many alerts are sampled more coarsely to bound the number of evaluations
+        const maxEvaluations = parseInt(process.env.SIMULATION_MAX_EVALUATIONS) || DEFAULT_MAX_EVALUATIONS;
+        const step = Math.max(
+            jobStep,
+            Math.ceil((end - start) / MAX_TICKS),
+            Math.ceil((end - start) * storedAlerts.length / maxEvaluations)
+        );
+        if (step > Math.max(jobStep, MAX_STEP_MINUTES * 60 * 1000)) {
+            throw new SimulationLimitError(
+                `Simulating ${storedAlerts.length} alerts over ${Math.ceil((end - start) / 60000)} minutes exceeds ${maxEvaluations} evaluations; narrow the range`
+            );
+        }
+
+        const outcomes = new Map(); // alertId -> simulated outcome
+        const simulated = storedAlerts.map(alert => {
+            const copy = this.toInitialState(alert);
+            outcomes.set(copy.alertId, { escalations: [], deEscalations: [], autoClosedAt: null, reason: null, expired: false });
+            return copy;
+        });
+
+        const windows = new MemoryStorageAdapter('simulation');
+        await windows.configureWindows(windowSpecs);
+
+        const visible = [];
+        let evaluations = 0;
+        for (const event of this.buildTimeline(simulated, storedAlerts, start, end, step)) {
+            const now = event.at;
+
+            // Lets the server answer other requests during long replays
+            evaluations += event.type === 'tick' ? visible.length : 1;
+            if (evaluations >= EVALUATIONS_PER_YIELD) {
+                evaluations = 0;
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            if (event.type === 'create') {
+                visible.push(event.alert);
+                await windows.save(event.alert.toJSON());
+                await this.evaluate(engine, event.alert, windows, now, outcomes);
+            } else if (event.type === 'occur') {
+                // As AlertService#addOccurrence does; repeats of an alert the simulation already closed are dropped
+                if (!event.alert.isClosed()) {
+                    event.alert.addOccurrence(event.occurrence.metadata, event.occurrence.at);
+                    await windows.save(event.alert.toJSON());
+                    if (event.alert.isActive()) await this.evaluate(engine, event.alert, windows, now, outcomes);
+                }
+            } else if (event.type === 'update') {
+                // As AlertService#renewDocument does: the change is saved, then the alert is evaluated
+                event.alert.metadata = { ...event.alert.metadata, ...event.changes };
+                await windows.save(event.alert.toJSON());
+                if (event.alert.isActive()) await this.evaluate(engine, event.alert, windows, now, outcomes);
+            } else if (event.type === 'acknowledge') {
+                if (event.alert.isActive()) {
+                    event.alert.status = ALERT_STATES.ACKNOWLEDGED;
+                    event.alert.acknowledgedAt = new Date(now).toISOString();
+                    event.alert.acknowledgedBy = event.operator;
+                    await windows.save(event.alert.toJSON());
+                }
+            } else if (event.type === 'resolve') {
+                if (event.alert.isActive()) {
+                    event.alert.status = ALERT_STATES.RESOLVED;
+                    await windows.save(event.alert.toJSON());
+                }
+            } else {
+                for (const alert of visible.filter(candidate => candidate.isActive())) {
+                    if (this.expire(alert, now)) {
+                        outcomes.get(alert.alertId).expired = true;
+                        await windows.save(alert.toJSON());
+                        continue;
+                    }
+                    await this.evaluate(engine, alert, windows, now, outcomes);
+                }
+            }
+        }
+
+        return this.buildReport(storedAlerts, simulated, outcomes, { start, end, step, limit });
+    }
+
+    // A copy of the alert as it was created: original severity and metadata, open, no rule actions, no repeats yet.
+    // Metadata changes made before they were recorded in the history cannot be undone.
+    toInitialState(alert) {
+        const firstEscalation = alert.history.find(event => event.action === EVENT_TYPES.ESCALATED);
+        const firstUpdate = alert.history.find(event => event.action === EVENT_TYPES.METADATA_UPDATED);
+        return new Alert({
+            alertId: alert.alertId,
+            sourceType: alert.sourceType,
+            severity: firstEscalation && firstEscalation.previousSeverity ? firstEscalation.previousSeverity : alert.severity,
+            timestamp: alert.timestamp,
+            status: ALERT_STATES.OPEN,
+            metadata: JSON.parse(JSON.stringify((firstUpdate ? firstUpdate.previousMetadata : alert.metadata) || {})),
+            fingerprint: alert.fingerprint
+        });
+    }
+
+    // Creations, repeats, metadata updates, manual acknowledgements and resolutions and job ticks ordered by time; creations go first on ties
+    buildTimeline(simulated, storedAlerts, start, end, step) {
+        const order = { create: 0, occur: 1, update: 2, acknowledge: 3, resolve: 4, tick: 5 };
+        const timeline = [];
+
+        simulated.forEach((alert, index) => {
+            timeline.push({ type: 'create', at: new Date(alert.timestamp).getTime(), alert });
+
+            storedAlerts[index].occurrences
+                .filter(occurrence => new Date(occurrence.at).getTime() < end)
+                .forEach(occurrence => timeline.push({ type: 'occur', at: new Date(occurrence.at).getTime(), alert, occurrence }));
+
+            storedAlerts[index].history
+                .filter(event => event.action === EVENT_TYPES.METADATA_UPDATED && new Date(event.timestamp).getTime() < end)
+                .forEach(event => timeline.push({ type: 'update', at: new Date(event.timestamp).getTime(), alert, changes: event.changes }));
+
+            const acknowledged = storedAlerts[index].history.find(event => event.action === EVENT_TYPES.ACKNOWLEDGED);
+            const acknowledgedAt = acknowledged && new Date(acknowledged.timestamp).getTime();
+            if (acknowledgedAt && acknowledgedAt < end) {
+                timeline.push({ type: 'acknowledge', at: acknowledgedAt, alert, operator: acknowledged.operator });
+            }
+
+            const resolvedAt = storedAlerts[index].resolvedAt && new Date(storedAlerts[index].resolvedAt).getTime();
+            if (storedAlerts[index].status === ALERT_STATES.RESOLVED && resolvedAt && resolvedAt < end) {
+                timeline.push({ type: 'resolve', at: resolvedAt, alert });
+            }
+        });
+
+        for (let at = start + step; at < end; at += step) {
+            timeline.push({ type: 'tick', at });
+        }
+
+        return timeline.sort((a, b) => a.at - b.at || order[a.type] - order[b.type]);
+    }
+
+    async evaluate(engine, alert, windows, now, outcomes) {
+        const action = await engine.evaluateAlert(alert, windows, now);
+        if (!action) return;
+
+        const outcome = outcomes.get(alert.alertId);
+        const at = new Date(now).toISOString();
+
+        // Mirrors Alert.escalate / Alert.deEscalate / Alert.autoClose without history events or logging
+        if (action.type === 'escalate') {
+            alert.status = ALERT_STATES.ESCALATED;
+            alert.severity = action.newSeverity;
+            alert.lastEscalatedAt = at;
+            alert.escalationCount += 1;
+            if (action.tier !== undefined) alert.escalationTier = action.tier;
+            outcome.escalations.push({ at, severity: action.newSeverity, tier: action.tier, notify: action.notify, rule: action.ruleName, variant: action.ruleVariant, reason: action.reason });
+        } else if (action.type === 'de_escalate') {
+            alert.status = alert.acknowledgedAt ? ALERT_STATES.ACKNOWLEDGED : ALERT_STATES.OPEN;
+            alert.severity = action.newSeverity;
+            alert.lastDeEscalatedAt = at;
+            alert.escalationTier = 0;
+            outcome.deEscalations.push({ at, severity: action.newSeverity, reason: action.reason });
+        } else if (action.type === 'auto_close') {
+            alert.status = ALERT_STATES.AUTO_CLOSED;
+            outcome.autoClosedAt = at;
+            outcome.reason = action.reason;
+        }
+        await windows.save(alert.toJSON());
+    }
+
+    expire(alert, now) {
+        const expiryDays = process.env.ALERT_EXPIRY_DAYS || 30;
+        if (alert.getAge(now) < expiryDays) return false;
+
+        alert.status = ALERT_STATES.EXPIRED;
+        return true;
+    }
+
+    buildReport(storedAlerts, simulated, outcomes, { start, end, step, limit }) {
+        const summary = {
+            simulated: { escalated: 0, deEscalated: 0, autoClosed: 0 },
+            actual: { escalated: 0, deEscalated: 0, autoClosed: 0 },
+            newlyEscalated: 0,
+            noLongerEscalated: 0,
+            newlyAutoClosed: 0,
+            noLongerAutoClosed: 0
+        };
+        const alerts = [];
+
+        storedAlerts.forEach((stored, index) => {
+            // Lookback alerts only provide context for escalation windows
+            if (new Date(stored.timestamp).getTime() < start) return;
+
+            const outcome = outcomes.get(stored.alertId);
+            const actualEscalations = stored.history.filter(event => event.action === EVENT_TYPES.ESCALATED);
+            const actualDeEscalations = stored.history.filter(event => event.action === EVENT_TYPES.DE_ESCALATED);
+            const actualAutoClose = stored.history.find(event => event.action === EVENT_TYPES.AUTO_CLOSED);
+
+            const simulatedResult = {
+                escalated: outcome.escalations.length > 0,
+                escalations: outcome.escalations,
+                deEscalated: outcome.deEscalations.length > 0,
+                deEscalations: outcome.deEscalations,
+                autoClosed: outcome.autoClosedAt !== null,
+                autoClosedAt: outcome.autoClosedAt,
+                autoCloseReason: outcome.reason,
+                finalStatus: simulated[index].status,
+                finalSeverity: simulated[index].severity
+            };
+            const actualResult = {
+                escalated: actualEscalations.length > 0,
+                escalations: actualEscalations.map(event => ({ at: event.timestamp, reason: event.details, ruleRevision: event.ruleRevision })),
+                deEscalated: actualDeEscalations.length > 0,
+                deEscalations: actualDeEscalations.map(event => ({ at: event.timestamp, reason: event.details, ruleRevision: event.ruleRevision })),
+                autoClosed: Boolean(actualAutoClose),
+                autoClosedAt: actualAutoClose ? actualAutoClose.timestamp : null,
+                finalStatus: stored.status,
+                finalSeverity: stored.severity
+            };
+
+            if (simulatedResult.escalated) summary.simulated.escalated++;
+            if (simulatedResult.deEscalated) summary.simulated.deEscalated++;
+            if (simulatedResult.autoClosed) summary.simulated.autoClosed++;
+            if (actualResult.escalated) summary.actual.escalated++;
+            if (actualResult.deEscalated) summary.actual.deEscalated++;
+            if (actualResult.autoClosed) summary.actual.autoClosed++;
+            if (simulatedResult.escalated && !actualResult.escalated) summary.newlyEscalated++;
+            if (!simulatedResult.escalated && actualResult.escalated) summary.noLongerEscalated++;
+            if (simulatedResult.autoClosed && !actualResult.autoClosed) summary.newlyAutoClosed++;
+            if (!simulatedResult.autoClosed && actualResult.autoClosed) summary.noLongerAutoClosed++;
+
+            const hasAction = simulatedResult.escalated || simulatedResult.deEscalated || simulatedResult.autoClosed ||
+                actualResult.escalated || actualResult.deEscalated || actualResult.autoClosed;
+            if (hasAction && alerts.length < limit) {
+                alerts.push({
+                    alertId: stored.alertId,
+                    sourceType: stored.sourceType,
+                    timestamp: stored.timestamp,
+                    driverId: stored.metadata.driverId || null,
+                    vehicleId: stored.metadata.vehicleId || null,
+                    changed: simulatedResult.escalated !== actualResult.escalated || simulatedResult.autoClosed !== actualResult.autoClosed,
+                    simulated: simulatedResult,
+                    actual: actualResult
+                });
+            }
+        });
+
+        return {
+            range: { from: new Date(start).toISOString(), to: new Date(end).toISOString() },
+            stepMinutes: step / 60000,
+            evaluatedAlerts: storedAlerts.filter(alert => new Date(alert.timestamp).getTime() >= start).length,
+            notes: [
+                'Metadata changes are replayed from METADATA_UPDATED history events; changes made before they were recorded apply from creation'
+            ],
+            summary,
+            alerts
+        };
+    }
+}
+
+module.exports = RuleSimulator;
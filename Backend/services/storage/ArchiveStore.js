@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const StorageAdapter = require('./StorageAdapter');
+
+const { INDEXES, toArray, timestampScore } = StorageAdapter;
+
+const FILE_PATTERN = /^alerts-(\d{4}-\d{2}-\d{2})\.ndjson\.gz$/;
+
+function dateOf(value) {
+    return new Date(value).toISOString().split('T')[0];
+}
+
+// Newest first, ties by descending alertId like live queries
+function compareNewestFirst(a, b) {
+    return timestampScore(b) - timestampScore(a) || (a.alertId < b.alertId ? 1 : a.alertId > b.alertId ? -1 : 0);
+}
+
+// Cold storage for alerts moved out of the live keyspace.
+// Alerts are appended to one gzip-compressed NDJSON file per day they were
+// raised (alerts-YYYY-MM-DD.ndjson.gz), so a search only opens the days in its
+// range; each append is a separate gzip member, which gunzip reads back as a
+// single stream. Subclasses keep the days elsewhere by overriding listDates,
+// appendDate, readDate and deleteDate (see RedisArchiveStore).
+class ArchiveStore {
+    constructor(archiveDir = process.env.ARCHIVE_DIR || './data/archive') {
+        this.archiveDir = path.isAbsolute(archiveDir) ? archiveDir : path.join(__dirname, '..', '..', archiveDir);
+    }
+
+    fileForDate(date) {
+        return path.join(this.archiveDir, `alerts-${date}.ndjson.gz`);
+    }
+
+    // Archive days, oldest first
+    async listDates() {
+        if (!fs.existsSync(this.archiveDir)) return [];
+
+        return fs.readdirSync(this.archiveDir)
+            .map(name => (name.match(FILE_PATTERN) || [])[1])
+            .filter(Boolean)
+            .sort();
+    }
+
+    async appendDate(date, compressed) {
+        await fs.promises.mkdir(this.archiveDir, { recursive: true });
+        await fs.promises.appendFile(this.fileForDate(date), compressed);
+    }
+
+    // The compressed alerts of a day, or null when there are none
+    async readDate(date) {
+        try {
+            return await fs.promises.readFile(this.fileForDate(date));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async deleteDate(date) {
+        await fs.promises.unlink(this.fileForDate(date));
+    }
+
+    async archive(alertsData, archivedAt = new Date()) {
+        const archivedAtIso = archivedAt.toISOString();
+        const linesByDate = new Map();
+
+        alertsData.forEach(alertData => {
+            const date = dateOf(alertData.timestamp);
+            const line = JSON.stringify({ ...alertData, archivedAt: archivedAtIso }) + '\n';
+            linesByDate.set(date, (linesByDate.get(date) || '') + line);
+        });
+
+        for (const [date, lines] of linesByDate) {
+            await this.appendDate(date, zlib.gzipSync(lines));
+        }
+    }
+
+    async readAlerts(date) {
+        const compressed = await this.readDate(date);
+        if (!compressed) return [];
+
+        return zlib.gunzipSync(compressed).toString('utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    // Same filters as live queries plus alertId; returns { results, total, hasMore } newest first.
+    // Days are read newest first and only until the page is filled, so total is
+    // null unless the search had to read every day in range anyway.
+    async search(filters = {}, options = {}) {
+        const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+        const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+        const fromDate = filters.from ? dateOf(filters.from) : null;
+        const toDate = filters.to ? dateOf(filters.to) : null;
+        const offset = options.offset || 0;
+        const needed = options.limit === undefined ? Infinity : offset + options.limit + 1;
+
+        const dates = (await this.listDates())
+            .filter(date => (!fromDate || date >= fromDate) && (!toDate || date <= toDate))
+            .reverse();
+
+        const matches = [];
+        let complete = true;
+        for (let i = 0; i < dates.length; i++) {
+            if (matches.length >= needed) {
+                complete = false;
+                break;
+            }
+
+            const dayMatches = (await this.readAlerts(dates[i])).filter(alertData => {
+                const score = timestampScore(alertData);
+                if (score < from || score >= to) return false;
+                if (filters.alertId && alertData.alertId !== filters.alertId) return false;
+
+                return INDEXES.every(({ filter, value }) => {
+                    const values = toArray(filters[filter]);
+                    return values.length === 0 || values.includes(value(alertData));
+                });
+            });
+            matches.push(...dayMatches.sort(compareNewestFirst));
+        }
+
+        const end = options.limit === undefined ? undefined : offset + options.limit;
+        return {
+            results: matches.slice(offset, end),
+            total: complete ? matches.length : null,
+            hasMore: end !== undefined && matches.length > end
+        };
+    }
+
+    // Deletes the days raised before the cutoff; returns the number of days removed
+    async purge(olderThanDays) {
+        const cutoff = dateOf(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+        const expiredDates = (await this.listDates()).filter(date => date < cutoff);
+
+        for (const date of expiredDates) {
+            await this.deleteDate(date);
+        }
+
+        return expiredDates.length;
+    }
+}
+
+module.exports = ArchiveStore;
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+
+const MIN_ENTRIES_BEFORE_COMPACTION = 1000;
+
+// Append-only NDJSON log with an in-memory working set.
+// Every save/delete is appended to the log; on startup the log is replayed to
+// rebuild the records and indices, so a single node keeps its alerts across restarts.
+class FileStorageAdapter extends MemoryStorageAdapter {
+    constructor(filePath = process.env.STORAGE_FILE_PATH || './data/alerts.ndjson') {
+        super('file');
+        this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', '..', filePath);
+        this.logEntries = 0;
+        this.writeChain = Promise.resolve();
+
+        this.loadLog();
+    }
+
+    loadLog() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            if (!fs.existsSync(this.filePath)) return;
+
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.applyEntry(JSON.parse(line));
+                    this.logEntries++;
+                } catch (error) {
+                    // A torn final line after a crash is expected; skip it
+                    console.error(' Skipping unreadable alert log entry:', error.message);
+                }
+            }
+
+            console.log(` Loaded ${this.records.size} alerts from ${this.filePath}`);
+        } catch (error) {
+            console.error(' Error loading alert log:', error);
+        }
+    }
+
+    applyEntry(entry) {
+        if (entry.op === 'save') {
+            super.save(entry.alert);
+        } else if (entry.op === 'delete') {
+            super.delete(entry.alertId);
+        }
+    }
+
+    async save(alertData, expectedVersion) {
+        await super.save(alertData, expectedVersion);
+        await this.append({ op: 'save', alert: alertData });
+    }
+
+    async delete(alertId) {
+        await super.delete(alertId);
+        await this.append({ op: 'delete', alertId });
+    }
+
+    append(entry) {
+        // Serialize writes so the log order matches the order of operations
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'))
+            .then(() => {
+                this.logEntries++;
+                if (this.shouldCompact()) return this.compact();
+            })
+            .catch(error => console.error(' Error writing alert log:', error));
+
+        return this.writeChain;
+    }
+
+    shouldCompact() {
+        return this.logEntries > MIN_ENTRIES_BEFORE_COMPACTION && this.logEntries > this.records.size * 2;
+    }
+
+    async compact() {
+        const tempPath = `${this.filePath}.tmp`;
+        const lines = Array.from(this.records.values())
+            .map(alertData => JSON.stringify({ op: 'save', alert: alertData }) + '\n')
+            .join('');
+
+        await fs.promises.writeFile(tempPath, lines);
+        await fs.promises.rename(tempPath, this.filePath);
+        this.logEntries = this.records.size;
+    }
+}
+
+module.exports = FileStorageAdapter;
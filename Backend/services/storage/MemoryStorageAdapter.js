@@ -0,0 +1,228 @@
+const StorageAdapter = require('./StorageAdapter');
+const { occurrenceEntries } = require('../../utils/occurrences');
+
+const { INDEXES, SUMMARY_FIELDS, toArray, timestampScore, checkVersion, isActive } = StorageAdapter;
+
+// Newest timestamp of a window's entries (spreading into Math.max overflows on large windows)
+function newest(entries) {
+    let max = -Infinity;
+    entries.forEach(timestamp => {
+        if (timestamp > max) max = timestamp;
+    });
+    return max;
+}
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(name = 'memory') {
+        super(name);
+        this.records = new Map();
+        this.scores = new Map();
+        this.timestampSum = 0;
+
+        // indexName -> value -> Set of alert IDs
+        this.indices = {};
+        INDEXES.forEach(({ name }) => {
+            this.indices[name] = new Map();
+        });
+
+        // window key -> Map of occurrence entry -> timestamp, for active alerts and for alerts of any status
+        this.windows = { active: new Map(), seen: new Map() };
+    }
+
+    async save(alertData, expectedVersion) {
+        const previousData = this.records.get(alertData.alertId) || null;
+        checkVersion(alertData, previousData, expectedVersion);
+
+        this.records.set(alertData.alertId, alertData);
+        await this.index(alertData, previousData);
+    }
+
+    async get(alertId) {
+        return this.records.get(alertId) || null;
+    }
+
+    async getMany(alertIds) {
+        return alertIds.map(alertId => this.records.get(alertId)).filter(Boolean);
+    }
+
+    async query(filters = {}, options = {}) {
+        const alertIds = this.findIds(filters);
+        const offset = options.offset || 0;
+        const pageIds = options.limit === undefined
+            ? alertIds.slice(offset)
+            : alertIds.slice(offset, offset + options.limit);
+
+        return {
+            results: pageIds.map(alertId => this.records.get(alertId)),
+            total: alertIds.length
+        };
+    }
+
+    findIds(filters) {
+        // Resolve each indexed filter to a candidate set, then intersect starting from the smallest
+        const candidateSets = [];
+        for (const { name, filter } of INDEXES) {
+            const values = toArray(filters[filter]);
+            if (values.length === 0) continue;
+
+            const candidates = new Set();
+            values.forEach(value => {
+                const entries = this.indices[name].get(value);
+                if (entries) entries.forEach(alertId => candidates.add(alertId));
+            });
+            candidateSets.push(candidates);
+        }
+
+        candidateSets.sort((a, b) => a.size - b.size);
+        const [smallest, ...others] = candidateSets;
+        const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+        const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+
+        return Array.from(smallest || this.records.keys())
+            .filter(alertId => {
+                const score = this.scores.get(alertId);
+                return score >= from && score < to && others.every(set => set.has(alertId));
+            })
+            .sort((a, b) => this.scores.get(b) - this.scores.get(a) || (a < b ? 1 : a > b ? -1 : 0));
+    }
+
+    async delete(alertId) {
+        const previousData = this.records.get(alertId);
+        if (!previousData) return;
+
+        this.records.delete(alertId);
+        this.timestampSum -= this.scores.get(alertId);
+        this.scores.delete(alertId);
+        INDEXES.forEach(({ name, value }) => this.removeFromIndex(name, value(previousData), alertId));
+        const members = occurrenceEntries(previousData).map(({ member }) => member);
+        this.windowsOf(previousData).forEach(({ key }) => this.removeFromWindows(key, members));
+    }
+
+    async index(alertData, previousData = null) {
+        const score = timestampScore(alertData);
+        this.timestampSum += score - (previousData ? this.scores.get(alertData.alertId) : 0);
+        this.scores.set(alertData.alertId, score);
+
+        INDEXES.forEach(({ name, value }) => {
+            const newValue = value(alertData);
+            const oldValue = previousData ? value(previousData) : null;
+
+            if (oldValue && oldValue !== newValue) {
+                this.removeFromIndex(name, oldValue, alertData.alertId);
+            }
+            if (newValue) {
+                if (!this.indices[name].has(newValue)) {
+                    this.indices[name].set(newValue, new Set());
+                }
+                this.indices[name].get(newValue).add(alertData.alertId);
+            }
+        });
+
+        this.indexWindows(alertData, previousData);
+    }
+
+    indexWindows(alertData, previousData) {
+        const entries = occurrenceEntries(alertData);
+        const windows = this.windowsOf(alertData);
+
+        // Entries of windows the alert left, and of occurrences dropped from the alert
+        if (previousData) {
+            const keys = new Set(windows.map(({ key }) => key));
+            const members = new Set(entries.map(({ member }) => member));
+            const previousMembers = occurrenceEntries(previousData).map(({ member }) => member);
+            this.windowsOf(previousData).forEach(({ key }) => {
+                this.removeFromWindows(key, keys.has(key) ? previousMembers.filter(member => !members.has(member)) : previousMembers);
+            });
+        }
+
+        windows.forEach(({ key, horizonMs }) => {
+            this.addToWindow('seen', key, entries, horizonMs);
+            if (isActive(alertData)) {
+                this.addToWindow('active', key, entries, horizonMs);
+            } else {
+                this.removeFromWindow('active', key, entries.map(({ member }) => member));
+            }
+        });
+    }
+
+    // Once an alert is in the window, entries older than the horizon before its newest occurrence can no longer be counted
+    addToWindow(kind, key, alertEntries, horizonMs) {
+        if (!this.windows[kind].has(key)) this.windows[kind].set(key, new Map());
+        const entries = this.windows[kind].get(key);
+        alertEntries.forEach(({ member, timestamp }) => entries.set(member, timestamp));
+
+        const cutoff = Math.max(...alertEntries.map(({ timestamp }) => timestamp)) - horizonMs;
+        entries.forEach((timestamp, member) => {
+            if (timestamp < cutoff) entries.delete(member);
+        });
+    }
+
+    removeFromWindow(kind, key, members) {
+        const entries = this.windows[kind].get(key);
+        if (!entries) return;
+
+        members.forEach(member => entries.delete(member));
+        if (entries.size === 0) this.windows[kind].delete(key);
+    }
+
+    removeFromWindows(key, members) {
+        this.removeFromWindow('active', key, members);
+        this.removeFromWindow('seen', key, members);
+    }
+
+    async configureWindows(specs) {
+        if (!this.setWindowSpecs(specs)) return;
+
+        this.windows = { active: new Map(), seen: new Map() };
+        this.records.forEach(alertData => this.indexWindows(alertData, null));
+    }
+
+    async getWindow(sourceType, groupBy, value, from) {
+        const entries = this.windows.active.get(StorageAdapter.windowKey(sourceType, groupBy, value));
+        if (!entries) return [];
+
+        return Array.from(entries).filter(([, timestamp]) => timestamp >= from).map(([member]) => member);
+    }
+
+    async getLastOccurrence(sourceType, groupBy, value) {
+        const entries = this.windows.seen.get(StorageAdapter.windowKey(sourceType, groupBy, value));
+        return entries ? newest(entries) : null;
+    }
+
+    removeFromIndex(indexName, value, alertId) {
+        const entries = this.indices[indexName].get(value);
+        if (!entries) return;
+
+        entries.delete(alertId);
+        if (entries.size === 0) {
+            this.indices[indexName].delete(value);
+        }
+    }
+
+    async getIndexed(indexName, value, limit = 10) {
+        const entries = this.indices[indexName] && this.indices[indexName].get(value);
+        if (!entries) return [];
+
+        return Array.from(entries)
+            .sort((a, b) => this.scores.get(b) - this.scores.get(a))
+            .slice(0, limit);
+    }
+
+    async getSummary() {
+        const byField = {};
+        SUMMARY_FIELDS.forEach(field => {
+            byField[field] = {};
+            this.indices[field].forEach((entries, value) => {
+                byField[field][value] = entries.size;
+            });
+        });
+
+        return {
+            total: this.records.size,
+            timestampSum: this.timestampSum,
+            byField
+        };
+    }
+}
+
+module.exports = MemoryStorageAdapter;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { ConcurrencyError } = require('../../utils/errors');
+
+const STORAGE_STATES = {
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    RECOVERING: 'recovering'
+};
+
+// Keeps Redis and the in-memory fallback consistent across outages.
+// While Redis is down every write lands in the fallback adapter and is journaled
+// in memory, one entry per alert. The journal is also written to an NDJSON file,
+// rewritten in the background at most every REDIS_JOURNAL_FLUSH_MS with the newest
+// REDIS_JOURNAL_MAX_ENTRIES alerts, so a restart during the outage reloads them
+// into the fallback. When Redis reconnects the journal is replayed into Redis,
+// indexes included, and reads only switch back once the journal has drained.
+class ReconciliationManager {
+    constructor(primaryAdapter, fallbackAdapter, redisManager) {
+        this.primary = primaryAdapter;
+        this.fallback = fallbackAdapter;
+        this.state = redisManager.isConnected ? STORAGE_STATES.HEALTHY : STORAGE_STATES.DEGRADED;
+        this.journal = new Map(); // alertId -> latest { op, alertId, alertData }, least recently written first
+        this.lastRecovery = null;
+        this.flushMs = parseInt(process.env.REDIS_JOURNAL_FLUSH_MS) || 1000;
+        this.maxEntries = parseInt(process.env.REDIS_JOURNAL_MAX_ENTRIES) || 50000;
+        this.flushTimer = null;
+        this.flushing = Promise.resolve();
+
+        const journalPath = process.env.REDIS_JOURNAL_PATH || './data/redis-journal.ndjson';
+        this.journalPath = path.isAbsolute(journalPath) ? journalPath : path.join(__dirname, '..', '..', journalPath);
+        this.loadJournal();
+
+        redisManager.on('connected', () => this.recover());
+        redisManager.on('disconnected', () => this.markDegraded());
+    }
+
+    isHealthy() {
+        return this.state === STORAGE_STATES.HEALTHY && this.primary.isAvailable();
+    }
+
+    markDegraded() {
+        if (this.state === STORAGE_STATES.DEGRADED) return;
+
+        console.log('  Storage degraded: writes are journaled until Redis returns');
+        this.state = STORAGE_STATES.DEGRADED;
+    }
+
+    loadJournal() {
+        try {
+            if (!fs.existsSync(this.journalPath)) return;
+
+            const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(line => line.trim());
+            for (const line of lines) {
+                try {
+                    const entry = JSON.parse(line);
+                    this.journal.set(entry.alertId, entry);
+                    if (entry.op === 'save') {
+                        this.fallback.save(entry.alertData);
+                    } else {
+                        this.fallback.delete(entry.alertId);
+                    }
+                } catch (error) {
+                    console.error(' Skipping unreadable journal entry:', error.message);
+                }
+            }
+
+            if (this.journal.size > 0) {
+                console.log(` Loaded ${this.journal.size} journaled writes pending replay to Redis`);
+            }
+        } catch (error) {
+            console.error(' Error loading Redis journal:', error);
+        }
+    }
+
+    recordSave(alertData) {
+        this.record({ op: 'save', alertId: alertData.alertId, alertData });
+    }
+
+    recordDelete(alertId) {
+        this.record({ op: 'delete', alertId });
+    }
+
+    record(entry) {
+        this.journal.delete(entry.alertId);
+        this.journal.set(entry.alertId, entry);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flushJournal();
+        }, this.flushMs);
+    }
+
+    // Rewrites the journal file from the in-memory journal; flushes never overlap
+    flushJournal() {
+        this.flushing = this.flushing.then(() => this.writeJournal()).catch(error => {
+            console.error(' Error writing Redis journal:', error);
+        });
+        return this.flushing;
+    }
+
+    async writeJournal() {
+        const entries = Array.from(this.journal.values());
+        const kept = entries.slice(-this.maxEntries);
+        if (kept.length < entries.length) {
+            console.warn(` Redis journal holds ${entries.length} alerts; only the newest ${kept.length} survive a restart`);
+        }
+
+        const tempPath = `${this.journalPath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.journalPath), { recursive: true });
+        await fs.promises.writeFile(tempPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+        await fs.promises.rename(tempPath, this.journalPath);
+    }
+
+    async recover() {
+        if (this.state === STORAGE_STATES.RECOVERING) return;
+
+        this.state = STORAGE_STATES.RECOVERING;
+        const recovery = { startedAt: new Date().toISOString(), replayed: 0, conflicts: 0, completedAt: null, error: null };
+        this.lastRecovery = recovery;
+
+        if (this.journal.size > 0) {
+            console.log(` Redis is back, replaying ${this.journal.size} journaled writes...`);
+        }
+
+        try {
+            // Writes keep arriving in the fallback while recovering, so loop until drained
+            while (this.journal.size > 0) {
+                for (const entry of Array.from(this.journal.values())) {
+                    if (!this.primary.isAvailable()) {
+                        throw new Error('Redis became unavailable during recovery');
+                    }
+
+                    const replayed = await this.replayEntry(entry);
+                    recovery[replayed ? 'replayed' : 'conflicts']++;
+
+                    // Keep the entry if it was rewritten while being replayed
+                    if (this.journal.get(entry.alertId) === entry) {
+                        this.journal.delete(entry.alertId);
+                        await this.fallback.delete(entry.alertId);
+                    }
+                }
+            }
+
+            await this.flushJournal();
+            recovery.completedAt = new Date().toISOString();
+            this.state = STORAGE_STATES.HEALTHY;
+
+            if (recovery.replayed > 0 || recovery.conflicts > 0) {
+                console.log(` Redis recovery completed: ${recovery.replayed} replayed, ${recovery.conflicts} conflicts kept Redis copy`);
+            }
+        } catch (error) {
+            console.error(' Redis recovery failed:', error.message);
+            recovery.error = error.message;
+            this.state = STORAGE_STATES.DEGRADED;
+        }
+    }
+
+    // Returns false when Redis already holds a newer version of the alert
+    async replayEntry(entry) {
+        if (entry.op === 'delete') {
+            await this.primary.delete(entry.alertId);
+            return true;
+        }
+
+        const current = await this.primary.get(entry.alertId);
+        const currentVersion = current ? (current.version || 0) : 0;
+        if (current && currentVersion > (entry.alertData.version || 0)) {
+            return false;
+        }
+
+        try {
+            await this.primary.save(entry.alertData, currentVersion);
+            return true;
+        } catch (error) {
+            if (error instanceof ConcurrencyError) return false;
+            throw error;
+        }
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            pendingWrites: this.journal.size,
+            lastRecovery: this.lastRecovery
+        };
+    }
+}
+
+module.exports = ReconciliationManager;
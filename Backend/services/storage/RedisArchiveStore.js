@@ -0,0 +1,60 @@
+const ArchiveStore = require('./ArchiveStore');
+
+const DATES_KEY = 'archive:dates';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Archive kept in Redis so every instance sharing it can search what the
+// instance holding the retention lease archived. Each day is a list
+// archive:alerts:<YYYY-MM-DD> of base64 gzip members (the same members the file
+// store appends), archive:dates tracks the days, and with purgeAfterDays set
+// each day also expires on its own once it is older than that.
+class RedisArchiveStore extends ArchiveStore {
+    constructor(redisManager, purgeAfterDays = null) {
+        super();
+        this.redis = redisManager;
+        this.purgeAfterDays = purgeAfterDays;
+    }
+
+    static dateKey(date) {
+        return `archive:alerts:${date}`;
+    }
+
+    // Unlike the RedisManager helpers, archive reads and writes fail loudly:
+    // an empty answer would drop archived alerts from results, a lost write would lose them
+    async run(commands) {
+        const results = await this.redis.pipeline(commands);
+        if (results.length !== commands.length || results.includes(null)) {
+            throw new Error('Archive is unavailable: Redis did not complete the request');
+        }
+        return results;
+    }
+
+    async listDates() {
+        const [dates] = await this.run([['smembers', DATES_KEY]]);
+        return dates.sort();
+    }
+
+    async appendDate(date, compressed) {
+        const key = RedisArchiveStore.dateKey(date);
+        const commands = [
+            ['rpush', key, compressed.toString('base64')],
+            ['sadd', DATES_KEY, date]
+        ];
+        if (this.purgeAfterDays) {
+            const expiresAt = new Date(date).getTime() + (this.purgeAfterDays + 1) * DAY_MS;
+            commands.push(['pexpireat', key, expiresAt]);
+        }
+        await this.run(commands);
+    }
+
+    async readDate(date) {
+        const [members] = await this.run([['lrange', RedisArchiveStore.dateKey(date), 0, -1]]);
+        return members.length > 0 ? Buffer.concat(members.map(member => Buffer.from(member, 'base64'))) : null;
+    }
+
+    async deleteDate(date) {
+        await this.run([['del', RedisArchiveStore.dateKey(date)], ['srem', DATES_KEY, date]]);
+    }
+}
+
+module.exports = RedisArchiveStore;
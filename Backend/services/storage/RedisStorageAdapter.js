@@ -0,0 +1,320 @@
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./StorageAdapter');
+const { occurrenceEntries } = require('../../utils/occurrences');
+
+const { INDEXES, SUMMARY_FIELDS, toArray, timestampScore, checkVersion, isActive } = StorageAdapter;
+
+const TIMELINE_KEY = 'alerts:timeline';
+const TIMESTAMP_SUM_KEY = 'alerts:timestamp_sum';
+const WINDOW_SPECS_KEY = 'windows:specs';
+const WINDOW_KEYS_KEY = 'windows:keys';
+const MGET_BATCH_SIZE = 500;
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Runs the JSON list of commands in ARGV[2] in one step, provided the alert document
+// at KEYS[1] is still ARGV[1] (empty when absent), so the document, its indexes and
+// its windows change together. Returns { 1|0, currentDocument }.
+const WRITE_IF_UNCHANGED_SCRIPT = `
+local current = redis.call('GET', KEYS[1]) or ''
+if current ~= ARGV[1] then
+    return {0, current}
+end
+for _, command in ipairs(cjson.decode(ARGV[2])) do
+    redis.call(unpack(command))
+end
+return {1, current}
+`;
+
+// Every index entry is a sorted set scored by alert timestamp, e.g.
+// status:OPEN:alerts, sourceType:overspeed:alerts, driver:DRV001:alerts.
+// index:<name>:values tracks the distinct values seen for summary counts.
+// Rule windows are sorted sets too: window:active:<sourceType>:<groupBy>:<value>
+// and window:seen:..., one member per occurrence, trimmed to the window horizon on every add.
+// windows:keys tracks every window key written so a rebuild can drop them without KEYS.
+class RedisStorageAdapter extends StorageAdapter {
+    constructor(redisManager) {
+        super('redis');
+        this.redis = redisManager;
+    }
+
+    static indexKey(indexName, value) {
+        return `${indexName}:${value}:alerts`;
+    }
+
+    static windowSetKey(kind, key) {
+        return `window:${kind}:${key}`;
+    }
+
+    isAvailable() {
+        return this.redis.isConnected;
+    }
+
+    async save(alertData, expectedVersion) {
+        await this.writeIfUnchanged(alertData.alertId, (previousData) => {
+            checkVersion(alertData, previousData, expectedVersion);
+            return [
+                ['set', `alert:${alertData.alertId}`, JSON.stringify(alertData)],
+                ...this.indexCommands(alertData, previousData)
+            ];
+        });
+    }
+
+    // Reads the stored document, builds the commands from it and runs them only if the
+    // document is unchanged, re-reading when another write got in between. buildCommands
+    // may throw (e.g. a ConcurrencyError) or return null to skip the write.
+    async writeIfUnchanged(alertId, buildCommands) {
+        const key = `alert:${alertId}`;
+        for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+            const [current] = await this.redis.pipeline([['get', key]]);
+            const commands = buildCommands(current ? JSON.parse(current) : null);
+            if (!commands) return;
+
+            const result = await this.redis.eval(
+                WRITE_IF_UNCHANGED_SCRIPT,
+                [key],
+                [current || '', JSON.stringify(commands.map(command => command.map(String)))]
+            );
+            if (!result) {
+                throw new Error(`Failed to write alert ${alertId}`);
+            }
+            if (result[0]) return;
+        }
+        throw new Error(`Failed to write alert ${alertId}: it kept changing during ${MAX_WRITE_ATTEMPTS} attempts`);
+    }
+
+    async get(alertId) {
+        return await this.redis.get(`alert:${alertId}`);
+    }
+
+    async getMany(alertIds) {
+        const results = [];
+        for (let i = 0; i < alertIds.length; i += MGET_BATCH_SIZE) {
+            const keys = alertIds.slice(i, i + MGET_BATCH_SIZE).map(alertId => `alert:${alertId}`);
+            const batch = await this.redis.mget(keys);
+            results.push(...batch.filter(Boolean));
+        }
+        return results;
+    }
+
+    async query(filters = {}, options = {}) {
+        return await this.withQueryKey(filters, async (queryKey) => {
+            const [min, max] = this.scoreRange(filters);
+            const total = await this.redis.zcount(queryKey, min, max);
+            if (options.limit === 0) return { results: [], total };
+
+            const alertIds = await this.redis.zrevrangebyscore(
+                queryKey, max, min,
+                options.offset || 0,
+                options.limit === undefined ? -1 : options.limit
+            );
+
+            return { results: await this.getMany(alertIds), total };
+        });
+    }
+
+    async count(filters = {}) {
+        return await this.withQueryKey(filters, async (queryKey) => {
+            const [min, max] = this.scoreRange(filters);
+            return await this.redis.zcount(queryKey, min, max);
+        });
+    }
+
+    // Resolves the indexed filters to a single sorted set (intersecting/unioning
+    // into temporary keys when needed) and hands it to the callback
+    async withQueryKey(filters, callback) {
+        const tempKeys = [];
+        const sourceKeys = [];
+
+        try {
+            for (const { name, filter } of INDEXES) {
+                const values = toArray(filters[filter]);
+                if (values.length === 0) continue;
+
+                if (values.length === 1) {
+                    sourceKeys.push(RedisStorageAdapter.indexKey(name, values[0]));
+                } else {
+                    const unionKey = `query:${uuidv4()}`;
+                    tempKeys.push(unionKey);
+                    await this.redis.zstore('zunionstore', unionKey, values.map(value => RedisStorageAdapter.indexKey(name, value)));
+                    sourceKeys.push(unionKey);
+                }
+            }
+
+            let queryKey = TIMELINE_KEY;
+            if (sourceKeys.length === 1) {
+                queryKey = sourceKeys[0];
+            } else if (sourceKeys.length > 1) {
+                queryKey = `query:${uuidv4()}`;
+                tempKeys.push(queryKey);
+                await this.redis.zstore('zinterstore', queryKey, sourceKeys);
+            }
+
+            return await callback(queryKey);
+        } finally {
+            if (tempKeys.length > 0) {
+                await this.redis.pipeline(tempKeys.map(key => ['del', key]));
+            }
+        }
+    }
+
+    scoreRange(filters) {
+        const min = filters.from ? new Date(filters.from).getTime() : '-inf';
+        const max = filters.to ? `(${new Date(filters.to).getTime()}` : '+inf';
+        return [min, max];
+    }
+
+    async delete(alertId) {
+        await this.writeIfUnchanged(alertId, (previousData) => {
+            if (!previousData) return null;
+
+            const commands = [
+                ['del', `alert:${alertId}`],
+                ['zrem', TIMELINE_KEY, alertId],
+                ['incrbyfloat', TIMESTAMP_SUM_KEY, -timestampScore(previousData)]
+            ];
+            INDEXES.forEach(({ name, value }) => {
+                const oldValue = value(previousData);
+                if (oldValue) commands.push(['zrem', RedisStorageAdapter.indexKey(name, oldValue), alertId]);
+            });
+            const members = occurrenceEntries(previousData).map(({ member }) => member);
+            this.windowsOf(previousData).forEach(({ key }) => {
+                commands.push(['zrem', RedisStorageAdapter.windowSetKey('active', key), ...members]);
+                commands.push(['zrem', RedisStorageAdapter.windowSetKey('seen', key), ...members]);
+            });
+            return commands;
+        });
+    }
+
+    async index(alertData, previousData = null) {
+        await this.writeIfUnchanged(alertData.alertId, () => this.indexCommands(alertData, previousData));
+    }
+
+    indexCommands(alertData, previousData) {
+        const score = timestampScore(alertData);
+        const scoreDelta = score - (previousData ? timestampScore(previousData) : 0);
+        const commands = [['zadd', TIMELINE_KEY, score, alertData.alertId]];
+
+        if (scoreDelta !== 0) {
+            commands.push(['incrbyfloat', TIMESTAMP_SUM_KEY, scoreDelta]);
+        }
+
+        INDEXES.forEach(({ name, value }) => {
+            const newValue = value(alertData);
+            const oldValue = previousData ? value(previousData) : null;
+
+            if (oldValue && oldValue !== newValue) {
+                commands.push(['zrem', RedisStorageAdapter.indexKey(name, oldValue), alertData.alertId]);
+            }
+            if (newValue) {
+                commands.push(['zadd', RedisStorageAdapter.indexKey(name, newValue), score, alertData.alertId]);
+                commands.push(['sadd', `index:${name}:values`, newValue]);
+            }
+        });
+
+        return commands.concat(this.windowCommands(alertData, previousData));
+    }
+
+    // Once an alert is in a window, entries older than the horizon before its newest occurrence can no longer be counted
+    windowCommands(alertData, previousData) {
+        const entries = occurrenceEntries(alertData);
+        const members = entries.map(({ member }) => member);
+        const windows = this.windowsOf(alertData);
+        const keys = new Set(windows.map(({ key }) => key));
+        const commands = [];
+
+        // Entries of windows the alert left, and of occurrences dropped from the alert
+        if (previousData) {
+            const previousMembers = occurrenceEntries(previousData).map(({ member }) => member);
+            const droppedMembers = previousMembers.filter(member => !members.includes(member));
+            this.windowsOf(previousData).forEach(({ key }) => {
+                const stale = keys.has(key) ? droppedMembers : previousMembers;
+                if (stale.length === 0) return;
+                commands.push(['zrem', RedisStorageAdapter.windowSetKey('active', key), ...stale]);
+                commands.push(['zrem', RedisStorageAdapter.windowSetKey('seen', key), ...stale]);
+            });
+        }
+
+        const scoredMembers = entries.flatMap(({ member, timestamp }) => [timestamp, member]);
+        const newest = Math.max(...entries.map(({ timestamp }) => timestamp));
+
+        windows.forEach(({ key, horizonMs }) => {
+            const activeKey = RedisStorageAdapter.windowSetKey('active', key);
+            const seenKey = RedisStorageAdapter.windowSetKey('seen', key);
+            const cutoff = `(${newest - horizonMs}`;
+
+            commands.push(['sadd', WINDOW_KEYS_KEY, activeKey, seenKey]);
+            commands.push(['zadd', seenKey, ...scoredMembers], ['zremrangebyscore', seenKey, '-inf', cutoff]);
+            if (isActive(alertData)) {
+                commands.push(['zadd', activeKey, ...scoredMembers], ['zremrangebyscore', activeKey, '-inf', cutoff]);
+            } else {
+                commands.push(['zrem', activeKey, ...members]);
+            }
+        });
+
+        return commands;
+    }
+
+    // Instances sharing Redis rebuild the windows only when the stored specs differ from
+    // theirs; the rebuild refills them from the sourceType indexes within each horizon,
+    // reaching back a dedup window further for alerts that gained occurrences since
+    async configureWindows(specs) {
+        this.setWindowSpecs(specs);
+        const stored = await this.redis.get(WINDOW_SPECS_KEY);
+        if (stored && JSON.stringify(stored) === this.windowSignature) return;
+
+        const staleKeys = await this.redis.smembers(WINDOW_KEYS_KEY);
+        const commands = staleKeys.map(key => ['del', key]);
+        commands.push(['del', WINDOW_KEYS_KEY]);
+
+        for (const [sourceType, sourceSpecs] of this.windowSpecs) {
+            const horizonMs = Math.max(...sourceSpecs.map(spec => spec.horizonMs + (spec.dedupWindowMs || 0)));
+            const alertIds = await this.redis.zrangebyscore(RedisStorageAdapter.indexKey('sourceType', sourceType), Date.now() - horizonMs, '+inf');
+            const alerts = await this.getMany(alertIds);
+            alerts.forEach(alertData => commands.push(...this.windowCommands(alertData, null)));
+        }
+
+        commands.push(['set', WINDOW_SPECS_KEY, this.windowSignature]);
+        await this.redis.pipeline(commands);
+    }
+
+    async getWindow(sourceType, groupBy, value, from) {
+        const key = StorageAdapter.windowKey(sourceType, groupBy, value);
+        return await this.redis.zrangebyscore(RedisStorageAdapter.windowSetKey('active', key), from, '+inf');
+    }
+
+    async getLastOccurrence(sourceType, groupBy, value) {
+        const key = StorageAdapter.windowKey(sourceType, groupBy, value);
+        const [newest] = await this.redis.pipeline([['zrevrange', RedisStorageAdapter.windowSetKey('seen', key), 0, 0, 'WITHSCORES']]);
+        return newest && newest.length > 0 ? parseFloat(newest[1]) : null;
+    }
+
+    async getIndexed(indexName, value, limit = 10) {
+        return await this.redis.zrevrange(RedisStorageAdapter.indexKey(indexName, value), 0, limit - 1);
+    }
+
+    async getSummary() {
+        const byField = {};
+        for (const field of SUMMARY_FIELDS) {
+            const values = await this.redis.smembers(`index:${field}:values`);
+            const counts = await this.redis.pipeline(values.map(value => ['zcard', RedisStorageAdapter.indexKey(field, value)]));
+
+            byField[field] = {};
+            values.forEach((value, i) => {
+                if (counts[i]) byField[field][value] = counts[i];
+            });
+        }
+
+        const [total, timestampSum] = await this.redis.pipeline([
+            ['zcard', TIMELINE_KEY],
+            ['get', TIMESTAMP_SUM_KEY]
+        ]);
+
+        return {
+            total: total || 0,
+            timestampSum: parseFloat(timestampSum) || 0,
+            byField
+        };
+    }
+}
+
+module.exports = RedisStorageAdapter;
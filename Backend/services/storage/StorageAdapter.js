@@ -0,0 +1,171 @@
+const { ConcurrencyError } = require('../../utils/errors');
+const { ACTIVE_STATES } = require('../../config/constants');
+const { groupKey } = require('../../utils/metadata');
+
+// Secondary indexes maintained by every adapter.
+// `filter` is the query filter key that uses the index.
+const INDEXES = [
+    { name: 'status', filter: 'status', value: alertData => alertData.status },
+    { name: 'severity', filter: 'severity', value: alertData => alertData.severity },
+    { name: 'sourceType', filter: 'sourceType', value: alertData => alertData.sourceType },
+    { name: 'driver', filter: 'driverId', value: alertData => alertData.metadata && alertData.metadata.driverId },
+    { name: 'vehicle', filter: 'vehicleId', value: alertData => alertData.metadata && alertData.metadata.vehicleId },
+    { name: 'assignee', filter: 'assignee', value: alertData => alertData.assignee },
+    { name: 'fingerprint', filter: 'fingerprint', value: alertData => alertData.fingerprint }
+];
+
+// Fields reported by getSummary()
+const SUMMARY_FIELDS = ['status', 'severity', 'sourceType'];
+
+// Base class for alert storage backends.
+//
+// Besides the indexes, adapters keep sliding windows for count-based rules:
+// configureWindows() takes { sourceType, groupBy, horizonMs, dedupWindowMs } specs
+// (see AlertService#syncWindows) and every save files the alert under its group,
+// e.g. overspeed alerts of driver DRV001, with one entry per occurrence (see
+// utils/occurrences). Each window tracks the occurrences of active alerts
+// (getWindow) and the newest occurrence of any status (getLastOccurrence), and
+// forgets entries older than the horizon, so rules never rescan every alert.
+// dedupWindowMs is how long after its creation an alert can still gain occurrences.
+// Adapters work with plain alert data (Alert#toJSON output); AlertStorageManager
+// is responsible for turning that data back into Alert instances.
+//
+// Supported query filters: status, severity, sourceType, driverId, vehicleId,
+// assignee, fingerprint (each a single value or an array of values) plus
+// `from`/`to` timestamps (from inclusive, to exclusive). Results are ordered
+// newest first, alerts with the same timestamp by descending alertId (as Redis
+// orders equal scores).
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+        this.windowSpecs = new Map(); // sourceType -> specs
+        this.windowSignature = '[]';
+    }
+
+    static get INDEXES() {
+        return INDEXES;
+    }
+
+    static get SUMMARY_FIELDS() {
+        return SUMMARY_FIELDS;
+    }
+
+    static toArray(value) {
+        if (value === undefined || value === null || value === '') return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    static timestampScore(alertData) {
+        return new Date(alertData.timestamp).getTime();
+    }
+
+    static windowKey(sourceType, groupBy, value) {
+        return `${sourceType}:${groupBy.join(',')}:${value}`;
+    }
+
+    static isActive(alertData) {
+        return ACTIVE_STATES.includes(alertData.status);
+    }
+
+    // Returns true when the specs changed and the windows must be rebuilt
+    setWindowSpecs(specs) {
+        const signature = JSON.stringify(specs);
+        if (signature === this.windowSignature) return false;
+
+        this.windowSignature = signature;
+        this.windowSpecs = new Map();
+        specs.forEach(spec => {
+            if (!this.windowSpecs.has(spec.sourceType)) this.windowSpecs.set(spec.sourceType, []);
+            this.windowSpecs.get(spec.sourceType).push(spec);
+        });
+        return true;
+    }
+
+    // The windows an alert belongs to, as [{ key, horizonMs }]; alerts missing a grouping field belong to none
+    windowsOf(alertData) {
+        const specs = this.windowSpecs.get(alertData.sourceType) || [];
+        return specs
+            .map(spec => ({ spec, value: groupKey(alertData.metadata, spec.groupBy) }))
+            .filter(({ value }) => value !== null)
+            .map(({ spec, value }) => ({
+                key: StorageAdapter.windowKey(spec.sourceType, spec.groupBy, value),
+                horizonMs: spec.horizonMs
+            }));
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    // With expectedVersion set the save is compare-and-set: it throws a
+    // ConcurrencyError unless the stored version (0 when absent) matches
+    async save(alertData, expectedVersion) {
+        throw new Error(`${this.name} adapter does not implement save()`);
+    }
+
+    async get(alertId) {
+        throw new Error(`${this.name} adapter does not implement get()`);
+    }
+
+    // Returns { results, total } where total ignores limit/offset
+    async query(filters = {}, options = {}) {
+        throw new Error(`${this.name} adapter does not implement query()`);
+    }
+
+    async count(filters = {}) {
+        const { total } = await this.query(filters, { limit: 0 });
+        return total;
+    }
+
+    async delete(alertId) {
+        throw new Error(`${this.name} adapter does not implement delete()`);
+    }
+
+    async index(alertData, previousData = null) {
+        throw new Error(`${this.name} adapter does not implement index()`);
+    }
+
+    // Returns alert IDs for an index entry (e.g. driver/vehicle), newest first
+    async getIndexed(indexName, value, limit = 10) {
+        throw new Error(`${this.name} adapter does not implement getIndexed()`);
+    }
+
+    // Returns { total, timestampSum, byField: { status: {...}, severity: {...}, sourceType: {...} } }
+    async getSummary() {
+        throw new Error(`${this.name} adapter does not implement getSummary()`);
+    }
+
+    async configureWindows(specs) {
+        throw new Error(`${this.name} adapter does not implement configureWindows()`);
+    }
+
+    // Occurrence entries (see utils/occurrences) of the active alerts in the group at or after `from` (ms)
+    async getWindow(sourceType, groupBy, value, from) {
+        throw new Error(`${this.name} adapter does not implement getWindow()`);
+    }
+
+    // Timestamp (ms) of the newest occurrence in the group whatever its status, or null
+    async getLastOccurrence(sourceType, groupBy, value) {
+        throw new Error(`${this.name} adapter does not implement getLastOccurrence()`);
+    }
+
+    static checkVersion(alertData, previousData, expectedVersion) {
+        if (expectedVersion === undefined) return;
+
+        const currentVersion = previousData ? (previousData.version || 0) : 0;
+        if (currentVersion !== expectedVersion) {
+            throw new ConcurrencyError(alertData.alertId, expectedVersion, currentVersion, previousData);
+        }
+    }
+
+    async getMany(alertIds) {
+        const results = [];
+        for (const alertId of alertIds) {
+            const alertData = await this.get(alertId);
+            if (alertData) results.push(alertData);
+        }
+        return results;
+    }
+}
+
+module.exports = StorageAdapter;
@@ -3,7 +3,7 @@ const http = require('http');
 const API_BASE = 'http://localhost:3000/api';
 
 // Helper function to make HTTP requests
-function makeRequest(method, path, data = null) {
+function makeRequest(method, path, data = null, contentType = 'application/json') {
     return new Promise((resolve, reject) => {
         const options = {
             hostname: 'localhost',
@@ -11,7 +11,7 @@ function makeRequest(method, path, data = null) {
             path: path,
             method: method,
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': contentType
             }
         };
 
@@ -33,7 +33,7 @@ function makeRequest(method, path, data = null) {
         req.on('error', reject);
 
         if (data) {
-            req.write(JSON.stringify(data));
+            req.write(typeof data === 'string' ? data : JSON.stringify(data));
         }
         req.end();
     });
@@ -56,7 +56,8 @@ async function testEnhancedAlertSystem() {
         console.log(`   Service: ${health.data.service}`);
         console.log(`   Redis: ${health.data.redis}`);
         console.log(`   Environment: ${health.data.environment}`);
-        console.log(`   Background Jobs: ${health.data.backgroundJobs}\n`);
+        console.log(`   Background Jobs: ${health.data.backgroundJobs}`);
+        console.log(`   Job Lease: ${health.data.jobLease.mode} (leader: ${health.data.jobLease.isLeader})\n`);
 
         // Test 2: Enhanced Rules Configuration
         console.log('2️ Testing Enhanced Rules Configuration...');
@@ -313,6 +314,572 @@ async function testEnhancedAlertSystem() {
         });
         console.log(`   Updated alert: Status: ${updatedTempAlert.data.alert.status} (should be AUTO_CLOSED)\n`);
 
+        // Test 14: Vehicle-Centric Alerts
+        console.log('1️4️ Testing Vehicle-Centric Alerts...');
+        const vehicleAlerts = await makeRequest('GET', '/api/vehicles/MH12AB1234/alerts?limit=5');
+        console.log(`   MH12AB1234 Alerts: ${vehicleAlerts.data.pagination.total} (showing ${vehicleAlerts.data.alerts.length})`);
+
+        const vehicleFilter = await makeRequest('GET', '/api/alerts?vehicleId=MH12AB1234');
+        console.log(`   vehicleId filter on /api/alerts: ${vehicleFilter.data.pagination.total} alerts`);
+
+        const vehicleSummary = await makeRequest('GET', '/api/vehicles/MH12EF9012/summary');
+        const summary = vehicleSummary.data.summary;
+        console.log(`   MH12EF9012 Summary: ${summary.activeCount} active, ${summary.openItems.maintenance.length} open maintenance item(s)`);
+        console.log(`   Last escalation: ${summary.lastEscalation ? summary.lastEscalation.escalatedAt : 'none'}`);
+
+        const vehicleDashboard = await makeRequest('GET', '/api/dashboard');
+        console.log(`   Top Vehicles on dashboard: ${vehicleDashboard.data.dashboard.topVehicles.length}\n`);
+
+        // Test 15: Optimistic Concurrency Control
+        console.log('1️5️ Testing Optimistic Concurrency Control...');
+        const versionedAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'vehicle_maintenance',
+            severity: 'LOW',
+            metadata: { vehicleId: 'MH12KL4321', maintenanceType: 'tyre_rotation' }
+        });
+        const staleVersion = versionedAlert.data.alert.version;
+        console.log(`   Created alert at version ${staleVersion}`);
+
+        const badVersion = await makeRequest('PATCH', `/api/alerts/${versionedAlert.data.alert.alertId}/resolve`, {
+            resolution: 'Tyres rotated',
+            version: 'abc'
+        });
+        console.log(`   Resolve with version "abc": ${badVersion.status} (expected 400)`);
+
+        const firstResolve = await makeRequest('PATCH', `/api/alerts/${versionedAlert.data.alert.alertId}/resolve`, {
+            resolution: 'Tyres rotated',
+            version: staleVersion
+        });
+        console.log(`   Resolve with current version: ${firstResolve.status} (now version ${firstResolve.data.alert.version})`);
+
+        const staleResolve = await makeRequest('PATCH', `/api/alerts/${versionedAlert.data.alert.alertId}/resolve`, {
+            resolution: 'Stale resolution',
+            version: staleVersion
+        });
+        console.log(`   Resolve with stale version: ${staleResolve.status} (expected 409, current version ${staleResolve.data.alert.version})\n`);
+
+        // Test 16: Archival and Retention
+        console.log('1️6️ Testing Archival and Retention...');
+        const retention = await makeRequest('POST', '/api/archive/run');
+        console.log(`   Retention run: ${retention.data.success} (archived ${retention.data.archived}, purged ${retention.data.purged})`);
+
+        const archived = await makeRequest('GET', '/api/archive/alerts?limit=5');
+        console.log(archived.status === 200
+            ? `   Archived alerts: ${archived.data.pagination.total} (showing ${archived.data.alerts.length})\n`
+            : `   Archive unavailable: ${archived.status} - ${archived.data.error}\n`);
+
+        // Test 17: Bulk Export/Import
+        console.log('1️7️ Testing Bulk Export/Import...');
+        const ndjsonExport = await makeRequest('GET', '/api/alerts/export?format=ndjson&sourceType=overspeed');
+        const exportedLines = ndjsonExport.data.split('\n').filter(line => line.trim());
+        console.log(`   NDJSON export: ${ndjsonExport.status} (${exportedLines.length} overspeed alerts)`);
+
+        const csvExport = await makeRequest('GET', '/api/alerts/export?format=csv&severity=CRITICAL');
+        console.log(`   CSV export: ${csvExport.status} (${csvExport.data.split('\n').filter(line => line.trim()).length - 1} critical alerts)`);
+
+        const importBody = [
+            JSON.stringify({ sourceType: 'harsh_braking', severity: 'MEDIUM', timestamp: '2024-01-15T08:30:00Z', metadata: { driverId: 'DRV009', vehicleId: 'MH12ZZ0001' } }),
+            JSON.stringify({ sourceType: 'harsh_braking', severity: 'SEVERE' }),
+            exportedLines[0]
+        ].join('\n');
+        const bulkImport = await makeRequest('POST', '/api/alerts/import', importBody, 'application/x-ndjson');
+        console.log(`   Import: ${bulkImport.data.imported} imported, ${bulkImport.data.failed} failed (expected 1 and 2)`);
+        bulkImport.data.errors.forEach(error => console.log(`     Row ${error.row}: ${error.error}`));
+
+        const csvImportBody = [
+            'sourceType,severity,metadata',
+            'harsh_braking,MEDIUM,"{""driverId"":',
+            '""DRV010""}"',
+            '',
+            'harsh_braking,SEVERE,'
+        ].join('\n');
+        const csvImport = await makeRequest('POST', '/api/alerts/import', csvImportBody, 'text/csv');
+        console.log(`   CSV import: ${csvImport.data.imported} imported, failure on line ${csvImport.data.errors[0].row} (expected 1, line 5)`);
+        console.log();
+
+        // Test 18: Condition Expressions
+        console.log('1️8️ Testing Rule Condition Expressions...');
+        const expressionRules = await makeRequest('PUT', '/api/rules', {
+            rules: {
+                tyre_pressure: {
+                    escalate_if: "metadata.pressure < 20 && metadata.unit == 'psi'",
+                    escalate_to_severity: 'CRITICAL',
+                    auto_close_if: 'metadata.pressure >= metadata.minPressure'
+                }
+            }
+        });
+        console.log(`   Expression rules accepted: ${expressionRules.data.success}`);
+
+        const lowPressure = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'tyre_pressure',
+            metadata: { driverId: 'DRV006', vehicleId: 'MH12KL3456', pressure: 18, unit: 'psi', minPressure: 28 }
+        });
+        console.log(`   Pressure 18 psi: ${lowPressure.data.alert.status} ${lowPressure.data.alert.severity} (expected ESCALATED CRITICAL)`);
+
+        const restoredPressure = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'tyre_pressure',
+            metadata: { driverId: 'DRV006', vehicleId: 'MH12KL3456', pressure: 30, unit: 'psi', minPressure: 28 }
+        });
+        console.log(`   Pressure 30 psi: ${restoredPressure.data.alert.status} (expected AUTO_CLOSED)`);
+
+        const invalidExpression = await makeRequest('PUT', '/api/rules', {
+            rules: { tyre_pressure: { auto_close_if: 'metadata.pressure >= ' } }
+        });
+        console.log(`   Invalid expression: ${invalidExpression.status} - ${invalidExpression.data.errors[0].message}`);
+
+        const deepExpression = await makeRequest('PUT', '/api/rules', {
+            rules: { tyre_pressure: { auto_close_if: '('.repeat(5000) + 'metadata.pressure' + ')'.repeat(5000) } }
+        });
+        console.log(`   Deeply nested expression: ${deepExpression.status} (expected 400) - ${deepExpression.data.errors[0].message}\n`);
+
+        // Test 19: Rule Validation, Dry Run and Deletion
+        console.log('1️9️ Testing Rule Validation and Dry Run...');
+        const invalidRules = await makeRequest('PUT', '/api/rules', {
+            rules: { overspeed: { escalate_if_count: 3, window_mins: '60', escalate_to_severity: 'CRTICAL' } }
+        });
+        console.log(`   Invalid rules: ${invalidRules.status} (expected 400)`);
+        invalidRules.data.errors.forEach(error => console.log(`     ${error.field} ${error.message}`));
+
+        const dryRun = await makeRequest('PUT', '/api/rules?dryRun=true', {
+            rules: { overspeed: { escalate_if_count: 4, window_mins: 60, escalate_to_severity: 'CRITICAL' }, tyre_pressure: null }
+        });
+        const rulesAfterDryRun = await makeRequest('GET', '/api/rules');
+        console.log(`   Dry run changed: ${Object.keys(dryRun.data.diff.changed).join(', ')}, removed: ${Object.keys(dryRun.data.diff.removed).join(', ')}`);
+        console.log(`   Overspeed threshold after dry run: ${rulesAfterDryRun.data.rules.overspeed.escalate_if_count} (unchanged)`);
+
+        const deleteRule = await makeRequest('DELETE', '/api/rules/tyre_pressure');
+        const deleteMissing = await makeRequest('DELETE', '/api/rules/tyre_pressure');
+        console.log(`   Delete rule: ${deleteRule.status}, tyre_pressure present: ${!!deleteRule.data.rules.tyre_pressure}, delete again: ${deleteMissing.status}\n`);
+
+        // Test 20: Rule Revisions and Rollback
+        console.log('2️0️ Testing Rule Revisions and Rollback...');
+        const revisionsBefore = await makeRequest('GET', '/api/rules/revisions?limit=5');
+        const baseRevision = revisionsBefore.data.currentRevision;
+        console.log(`   Current revision: ${baseRevision} of ${revisionsBefore.data.pagination.total}`);
+
+        const idleRule = await makeRequest('PUT', '/api/rules', {
+            rules: { idle_time: { escalate_if_count: 1, window_mins: 60, escalate_to_severity: 'HIGH' } },
+            author: 'ops@fleet',
+            comment: 'Escalate idling immediately'
+        });
+        console.log(`   New revision: ${idleRule.data.revision} by ops@fleet`);
+
+        const idleAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'idle_time',
+            metadata: { driverId: 'DRV007', vehicleId: 'MH12MN7890' }
+        });
+        const escalationEvent = idleAlert.data.alert.history.find(event => event.action === 'ESCALATED');
+        console.log(`   Escalation stamped with rule revision: ${escalationEvent && escalationEvent.ruleRevision} (expected ${idleRule.data.revision})`);
+
+        const revisionDiff = await makeRequest('GET', `/api/rules/revisions/diff?from=${baseRevision}&to=${idleRule.data.revision}`);
+        console.log(`   Diff ${baseRevision} -> ${idleRule.data.revision}: added ${Object.keys(revisionDiff.data.diff.added).join(', ')}`);
+
+        const rollback = await makeRequest('POST', `/api/rules/revisions/${baseRevision}/rollback`, { author: 'ops@fleet' });
+        console.log(`   Rollback to ${baseRevision}: revision ${rollback.data.revision}, idle_time removed: ${Object.keys(rollback.data.diff.removed).includes('idle_time')}\n`);
+
+        // Test 21: Rule Simulation
+        console.log('2️1️ Testing Rule Simulation...');
+        const statsBeforeSimulation = await makeRequest('GET', '/api/alerts/stats');
+        const currentRules = (await makeRequest('GET', '/api/rules')).data.rules;
+        const simulation = await makeRequest('POST', '/api/rules/simulate', {
+            rules: { ...currentRules, overspeed: { escalate_if_count: 10, window_mins: 60, escalate_to_severity: 'CRITICAL', auto_close_if: 'speed_normalized' } },
+            from: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+        });
+        const simulationSummary = simulation.data.summary;
+        console.log(`   Simulated ${simulation.data.evaluatedAlerts} alerts: ${simulationSummary.simulated.escalated} escalated (actual ${simulationSummary.actual.escalated}), ${simulationSummary.simulated.autoClosed} auto-closed (actual ${simulationSummary.actual.autoClosed})`);
+        console.log(`   Overspeed threshold 10: ${simulationSummary.noLongerEscalated} alerts would no longer escalate`);
+
+        const decadeSimulation = await makeRequest('POST', '/api/rules/simulate', {
+            from: new Date(Date.now() - 10 * 365 * 24 * 60 * 60 * 1000).toISOString()
+        });
+        console.log(`   Ten-year range: ${decadeSimulation.status} (expected 400) - ${decadeSimulation.data.error}`);
+
+        const statsAfterSimulation = await makeRequest('GET', '/api/alerts/stats');
+        console.log(`   Side-effect free: ${JSON.stringify(statsBeforeSimulation.data.stats.byStatus) === JSON.stringify(statsAfterSimulation.data.stats.byStatus)}\n`);
+
+        // Test 22: Escalation Ladders
+        console.log('2️2️ Testing Escalation Ladders...');
+        const ladderRules = await makeRequest('PUT', '/api/rules', {
+            rules: {
+                panic_button: {
+                    escalation_tiers: [
+                        { name: 'supervisor', severity: 'HIGH', escalate_if: 'metadata.pressed', cooldown_mins: 0 },
+                        { name: 'safety desk', severity: 'CRITICAL', escalate_if: 'escalation_tier >= 1', cooldown_mins: 0 },
+                        { name: 'fleet head', notify: 'fleet_head', escalate_if: "severity == 'CRITICAL'", cooldown_mins: 0 }
+                    ]
+                }
+            }
+        });
+        console.log(`   Ladder rules accepted: ${ladderRules.data.success}`);
+
+        const panicAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'panic_button',
+            severity: 'MEDIUM',
+            metadata: { driverId: 'DRV008', vehicleId: 'MH12OP1234', pressed: true }
+        });
+        console.log(`   After creation: tier ${panicAlert.data.alert.escalationTier}, ${panicAlert.data.alert.severity}`);
+
+        await makeRequest('POST', '/api/alerts/process');
+        await makeRequest('POST', '/api/alerts/process');
+        const laddered = await makeRequest('GET', `/api/alerts/${panicAlert.data.alert.alertId}`);
+        console.log(`   After two job cycles: tier ${laddered.data.alert.escalationTier}, ${laddered.data.alert.severity} (expected tier 3, CRITICAL)`);
+        laddered.data.alert.history
+            .filter(event => event.action === 'ESCALATED')
+            .forEach(event => console.log(`     Tier ${event.previousTier} -> ${event.tier}: ${event.details}${event.notify ? ` (notify ${event.notify})` : ''}`));
+
+        const invalidLadder = await makeRequest('PUT', '/api/rules', {
+            rules: { panic_button: { escalation_tiers: [{ severity: 'CRITICAL', after_mins: 30 }, { severity: 'HIGH', after_mins: 60 }] } }
+        });
+        console.log(`   Descending ladder: ${invalidLadder.status} - ${invalidLadder.data.errors[0].field} ${invalidLadder.data.errors[0].message}\n`);
+
+        // Test 23: Grouped Count Windows
+        console.log('2️3️ Testing Grouped Escalation Windows...');
+        const groupedRule = await makeRequest('PUT', '/api/rules', {
+            rules: { route_deviation: { escalate_if_count: 3, window_mins: 120, group_by: 'routeId', escalate_to_severity: 'HIGH' } }
+        });
+        console.log(`   group_by rule accepted: ${groupedRule.data.success}`);
+
+        let routeAlert;
+        for (const driverId of ['DRV011', 'DRV012', 'DRV013']) {
+            routeAlert = await makeRequest('POST', '/api/alerts', {
+                sourceType: 'route_deviation',
+                metadata: { driverId, vehicleId: `MH12RT${driverId.slice(-2)}00`, routeId: 'R-042' }
+            });
+        }
+        console.log(`   Third deviation on route R-042 (3 drivers): ${routeAlert.data.alert.status} (expected ESCALATED)`);
+
+        const otherRoute = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'route_deviation',
+            metadata: { driverId: 'DRV011', vehicleId: 'MH12RT1100', routeId: 'R-077' }
+        });
+        console.log(`   Same driver on route R-077: ${otherRoute.data.alert.status} (expected OPEN)\n`);
+
+        // Test 24: De-escalation
+        console.log('2️4️ Testing De-escalation...');
+        const deEscalationRule = await makeRequest('PUT', '/api/rules', {
+            rules: {
+                harsh_braking: {
+                    escalate_if: 'metadata.severe',
+                    escalate_to_severity: 'CRITICAL',
+                    de_escalation: { severity: 'MEDIUM', de_escalate_if: 'escalation_count >= 1' }
+                }
+            }
+        });
+        console.log(`   De-escalation rule accepted: ${deEscalationRule.data.success}`);
+
+        const brakingAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'harsh_braking',
+            severity: 'MEDIUM',
+            metadata: { driverId: 'DRV014', vehicleId: 'MH12DE1400', severe: true }
+        });
+        console.log(`   After creation: ${brakingAlert.data.alert.status}, ${brakingAlert.data.alert.severity}`);
+
+        await makeRequest('POST', '/api/alerts/process');
+        await makeRequest('POST', '/api/alerts/process');
+        const deEscalated = await makeRequest('GET', `/api/alerts/${brakingAlert.data.alert.alertId}`);
+        const deEscalationEvent = deEscalated.data.alert.history.find(event => event.action === 'DE_ESCALATED');
+        console.log(`   After two job cycles: ${deEscalated.data.alert.status}, ${deEscalated.data.alert.severity} (expected OPEN, MEDIUM)`);
+        console.log(`   History: ${deEscalationEvent ? `${deEscalationEvent.previousStatus}/${deEscalationEvent.previousSeverity} -> ${deEscalated.data.alert.severity}: ${deEscalationEvent.details}` : 'no DE_ESCALATED event'}`);
+
+        const deEscalationDashboard = await makeRequest('GET', '/api/dashboard');
+        console.log(`   Dashboard de-escalated count: ${deEscalationDashboard.data.dashboard.summary.deEscalated}`);
+
+        const invalidDeEscalation = await makeRequest('PUT', '/api/rules', {
+            rules: { harsh_braking: { de_escalation: { severity: 'LOW' } } }
+        });
+        console.log(`   De-escalation without trigger: ${invalidDeEscalation.status} - ${invalidDeEscalation.data.errors[0].field} ${invalidDeEscalation.data.errors[0].message}\n`);
+
+        // Test 25: Rules File Reload
+        console.log('2️5️ Testing Rules File Reload...');
+        const ruleSource = (await makeRequest('GET', '/api/rules')).data.source;
+        console.log(`   Rules file: ${ruleSource.file} (${ruleSource.format}), watching: ${ruleSource.watching}`);
+
+        const reload = await makeRequest('POST', '/api/rules/reload');
+        console.log(`   Manual reload: ${reload.status} - ${reload.data.status || reload.data.error} (revision ${reload.data.revision})`);
+
+        const reloadedSource = (await makeRequest('GET', '/api/rules')).data.source;
+        console.log(`   Last reload: ${reloadedSource.lastReload.trigger} -> ${reloadedSource.lastReload.status}\n`);
+
+        // Test 26: Correlation Rules
+        console.log('2️6️ Testing Correlation Rules...');
+        const correlationRule = await makeRequest('PUT', '/api/rules', {
+            rules: {
+                composite_unsafe_driving: {
+                    correlate: { source_types: ['driver_fatigue', 'overspeed'], window_mins: 30, group_by: 'driverId', severity: 'CRITICAL' }
+                }
+            }
+        });
+        console.log(`   Correlation rule accepted: ${correlationRule.data.success}`);
+
+        const tiredDriverAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'driver_fatigue',
+            metadata: { driverId: 'DRV015', vehicleId: 'MH12CR1500', consecutiveDrivingHours: 11 }
+        });
+        const speedingDriverAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'overspeed',
+            metadata: { driverId: 'DRV015', vehicleId: 'MH12CR1500', speed: 95, speedLimit: 60 }
+        });
+
+        const composites = await makeRequest('GET', '/api/alerts?sourceType=composite_unsafe_driving&driverId=DRV015');
+        const composite = composites.data.alerts[0];
+        console.log(`   Composite alerts for DRV015: ${composites.data.alerts.length} (expected 1)`);
+        if (composite) {
+            const linked = [tiredDriverAlert.data.alert.alertId, speedingDriverAlert.data.alert.alertId].every(id => composite.correlatedAlertIds.includes(id));
+            console.log(`   Composite ${composite.severity}, links both contributing alerts: ${linked}`);
+            console.log(`   ${composite.history.find(event => event.action === 'CORRELATED').details}`);
+
+            const contributor = await makeRequest('GET', `/api/alerts/${tiredDriverAlert.data.alert.alertId}`);
+            console.log(`   Fatigue alert links back to composite: ${contributor.data.alert.compositeAlertIds.includes(composite.alertId)}`);
+        }
+
+        const selfCorrelation = await makeRequest('PUT', '/api/rules', {
+            rules: { composite_unsafe_driving: { correlate: { source_types: ['composite_unsafe_driving', 'overspeed'], window_mins: 30, group_by: 'driverId', severity: 'HIGH' } } }
+        });
+        console.log(`   Self-referencing correlation: ${selfCorrelation.status} - ${selfCorrelation.data.errors[0].field} ${selfCorrelation.data.errors[0].message}\n`);
+
+        // Test 27: Scheduled Rule Variants
+        console.log('2️7️ Testing Scheduled Rule Variants...');
+        const scheduledRule = await makeRequest('PUT', '/api/rules', {
+            rules: {
+                late_pickup: {
+                    escalate_if: 'metadata.delay_mins > 30',
+                    escalate_to_severity: 'HIGH',
+                    variants: [
+                        { name: 'weekend', schedule: { days: ['SAT', 'SUN'], cron: '* * * * *' }, escalate_if: 'metadata.delay_mins > 20' },
+                        { name: 'round the clock', schedule: { cron: '* * * * *' }, escalate_if: 'metadata.delay_mins > 10', escalate_to_severity: 'CRITICAL' }
+                    ]
+                }
+            }
+        });
+        console.log(`   Scheduled rule accepted: ${scheduledRule.data.success}`);
+
+        const latePickup = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'late_pickup',
+            metadata: { driverId: 'DRV016', vehicleId: 'MH12SC1600', delay_mins: 25 }
+        });
+        const variantEvent = latePickup.data.alert.history.find(event => event.action === 'ESCALATED');
+        console.log(`   25 minute delay: ${latePickup.data.alert.status} ${latePickup.data.alert.severity} under variant '${variantEvent && variantEvent.ruleVariant}'`);
+
+        const invalidSchedule = await makeRequest('PUT', '/api/rules', {
+            rules: { late_pickup: { escalate_if: 'metadata.delay_mins > 30', escalate_to_severity: 'HIGH', variants: [{ name: 'night', schedule: { between: ['22:00', '6am'] } }] } }
+        });
+        console.log(`   Invalid schedule: ${invalidSchedule.status} - ${invalidSchedule.data.errors[0].field} ${invalidSchedule.data.errors[0].message}\n`);
+
+        // Test 28: Explain Rule Evaluation
+        console.log('2️8️ Testing Rule Evaluation Explain...');
+        const quietAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'overspeed',
+            metadata: { driverId: 'DRV017', vehicleId: 'MH12EX1700', speed: 72, speedLimit: 60 }
+        });
+        const explain = await makeRequest('GET', `/api/alerts/${quietAlert.data.alert.alertId}/explain`);
+        console.log(`   Explain status: ${explain.status}, outcome: ${explain.data.explanation.outcome ? explain.data.explanation.outcome.type : 'none'}`);
+        explain.data.explanation.checks.forEach(check => console.log(`     ${check.passed ? 'PASS' : 'FAIL'} ${check.check}: ${check.summary}`));
+
+        const countCheck = explain.data.explanation.checks.find(check => check.check === 'count_window');
+        console.log(`   Counted alerts include this one: ${countCheck ? countCheck.alertIds.includes(quietAlert.data.alert.alertId) : false}`);
+
+        const missingExplain = await makeRequest('GET', '/api/alerts/no-such-alert/explain');
+        console.log(`   Unknown alert: ${missingExplain.status} (expected 404)\n`);
+
+        // Test 29: Prioritized Named Rules
+        console.log('2️9️ Testing Prioritized Named Rules...');
+        const namedRules = await makeRequest('PUT', '/api/rules', {
+            rules: {
+                harsh_cornering: [
+                    { name: 'default', escalate_if: 'metadata.g_force > 0.5', escalate_to_severity: 'HIGH' },
+                    { name: 'bangalore', priority: 10, match: "metadata.city == 'Bangalore'", escalate_if: 'metadata.g_force > 0.8', escalate_to_severity: 'CRITICAL', stop_processing: true },
+                    { name: 'trial', priority: 1, enabled: false, escalate_if: 'metadata.g_force > 0', escalate_to_severity: 'CRITICAL' }
+                ]
+            }
+        });
+        console.log(`   Named rules accepted: ${namedRules.data.success}`);
+
+        const puneCornering = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'harsh_cornering',
+            metadata: { driverId: 'DRV018', vehicleId: 'MH12NR1800', city: 'Pune', g_force: 0.6 }
+        });
+        const puneEvent = puneCornering.data.alert.history.find(event => event.action === 'ESCALATED');
+        console.log(`   Pune alert: ${puneCornering.data.alert.severity} by rule '${puneEvent && puneEvent.ruleName}' (expected HIGH by 'default')`);
+
+        const bangaloreCornering = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'harsh_cornering',
+            metadata: { driverId: 'DRV018', vehicleId: 'MH12NR1800', city: 'Bangalore', g_force: 0.6 }
+        });
+        console.log(`   Bangalore alert below its threshold: ${bangaloreCornering.data.alert.status} (expected OPEN, stop_processing skips 'default')`);
+
+        const upsertRule = await makeRequest('PUT', '/api/rules/harsh_cornering/bangalore', {
+            rule: { priority: 10, match: "metadata.city == 'Bangalore'", escalate_if: 'metadata.g_force > 0.5', escalate_to_severity: 'CRITICAL' },
+            author: 'test-suite'
+        });
+        console.log(`   Upserted 'bangalore': ${upsertRule.status}, diff: ${JSON.stringify(upsertRule.data.diff.changed.harsh_cornering)}`);
+
+        const bangaloreAgain = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'harsh_cornering',
+            metadata: { driverId: 'DRV019', vehicleId: 'MH12NR1900', city: 'Bangalore', g_force: 0.6 }
+        });
+        const bangaloreEvent = bangaloreAgain.data.alert.history.find(event => event.action === 'ESCALATED');
+        console.log(`   Bangalore alert: ${bangaloreAgain.data.alert.severity} by rule '${bangaloreEvent && bangaloreEvent.ruleName}' (expected CRITICAL by 'bangalore')`);
+
+        const duplicateNames = await makeRequest('PUT', '/api/rules', {
+            rules: { harsh_cornering: [{ name: 'a', escalate_if: 'true', escalate_to_severity: 'HIGH' }, { name: 'a', escalate_if: 'true', escalate_to_severity: 'HIGH' }] }
+        });
+        console.log(`   Duplicate names: ${duplicateNames.status} - ${duplicateNames.data.errors[0].field} ${duplicateNames.data.errors[0].message}`);
+
+        const deleteNamedRule = await makeRequest('DELETE', '/api/rules/harsh_cornering/trial');
+        const deleteNamedAgain = await makeRequest('DELETE', '/api/rules/harsh_cornering/trial');
+        console.log(`   Delete 'trial': ${deleteNamedRule.status}, again: ${deleteNamedAgain.status} (expected 404), rules left: ${deleteNamedRule.data.rules.harsh_cornering.length}\n`);
+
+        // Test 30: Acknowledge & Assign
+        console.log('3️0️ Testing Acknowledge & Assign...');
+        await makeRequest('PUT', '/api/rules', {
+            rules: { panic_button: { escalate_if_unacked_mins: 0.01, escalate_to_severity: 'CRITICAL' } }
+        });
+        const unackedPanic = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'panic_button',
+            metadata: { driverId: 'DRV020', vehicleId: 'MH12AK2000' }
+        });
+        const ackedPanic = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'panic_button',
+            metadata: { driverId: 'DRV021', vehicleId: 'MH12AK2100' }
+        });
+        const ackedPanicId = ackedPanic.data.alert.alertId;
+
+        const missingOperator = await makeRequest('PATCH', `/api/alerts/${ackedPanicId}/ack`, {});
+        console.log(`   Ack without operator: ${missingOperator.status} (expected 400)`);
+
+        const ack = await makeRequest('PATCH', `/api/alerts/${ackedPanicId}/ack`, { operator: 'asha' });
+        console.log(`   Acknowledged: ${ack.data.alert.status} by ${ack.data.alert.acknowledgedBy} (expected ACKNOWLEDGED by asha)`);
+
+        const assign = await makeRequest('PATCH', `/api/alerts/${ackedPanicId}/assign`, { assignee: 'ravi', operator: 'asha' });
+        const assignEvent = assign.data.alert.history.find(event => event.action === 'ASSIGNED');
+        console.log(`   Assigned to: ${assign.data.alert.assignee}, event operator: ${assignEvent && assignEvent.operator}`);
+
+        const mine = await makeRequest('GET', '/api/alerts?assignee=ravi');
+        console.log(`   Alerts assigned to ravi: ${mine.data.alerts.map(alert => alert.alertId).join(', ') === ackedPanicId ? 'only the assigned alert' : mine.data.pagination.total}`);
+
+        await sleep(1000);
+        await makeRequest('POST', '/api/alerts/process');
+        const unackedAfter = await makeRequest('GET', `/api/alerts/${unackedPanic.data.alert.alertId}`);
+        const ackedAfter = await makeRequest('GET', `/api/alerts/${ackedPanicId}`);
+        console.log(`   Unacknowledged alert: ${unackedAfter.data.alert.status}/${unackedAfter.data.alert.severity} (expected ESCALATED/CRITICAL)`);
+        console.log(`   Acknowledged alert: ${ackedAfter.data.alert.status}/${ackedAfter.data.alert.severity} (expected ACKNOWLEDGED/MEDIUM)`);
+
+        // Only the unacknowledged check stops applying; other escalations still do
+        await makeRequest('PUT', '/api/rules', {
+            rules: { panic_button: { escalate_if: "assignee == 'ravi'", escalate_to_severity: 'HIGH' } }
+        });
+        await makeRequest('POST', '/api/alerts/process');
+        const ackedEscalated = await makeRequest('GET', `/api/alerts/${ackedPanicId}`);
+        console.log(`   Acknowledged alert matching escalate_if: ${ackedEscalated.data.alert.status}/${ackedEscalated.data.alert.severity}, acknowledged by ${ackedEscalated.data.alert.acknowledgedBy} (expected ESCALATED/HIGH, asha)`);
+
+        await makeRequest('PATCH', `/api/alerts/${ackedPanicId}/resolve`, { resolution: 'Driver reached safely' });
+        const ackResolved = await makeRequest('PATCH', `/api/alerts/${ackedPanicId}/ack`, { operator: 'asha' });
+        console.log(`   Ack after resolve: ${ackResolved.status} (expected 409)`);
+        await makeRequest('DELETE', '/api/rules/panic_button');
+        console.log('');
+
+        // Test 31: State Machine & Reopen
+        console.log('3️1️ Testing State Machine & Reopen...');
+        const reopenTarget = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'compliance',
+            metadata: { driverId: 'DRV022', vehicleId: 'MH12RO2200', documentType: 'permit', document_valid: false }
+        });
+        const reopenId = reopenTarget.data.alert.alertId;
+
+        const reopenOpen = await makeRequest('PATCH', `/api/alerts/${reopenId}/reopen`, { reason: 'Repeated violation' });
+        console.log(`   Reopen an open alert: ${reopenOpen.status} (expected 409)`);
+
+        await makeRequest('PATCH', `/api/alerts/${reopenId}/resolve`, { resolution: 'Permit uploaded' });
+        const resolveAgain = await makeRequest('PATCH', `/api/alerts/${reopenId}/resolve`, { resolution: 'Again' });
+        console.log(`   Resolve a resolved alert: ${resolveAgain.status} (expected 409) - ${resolveAgain.data.error}`);
+
+        const reopenNoReason = await makeRequest('PATCH', `/api/alerts/${reopenId}/reopen`, {});
+        console.log(`   Reopen without reason: ${reopenNoReason.status} (expected 400)`);
+
+        const reopened = await makeRequest('PATCH', `/api/alerts/${reopenId}/reopen`, { reason: 'Driver repeated the violation', operator: 'asha' });
+        const reopenEvent = reopened.data.alert.history.find(event => event.action === 'REOPENED');
+        console.log(`   Reopened: ${reopened.data.alert.status}, reopenCount ${reopened.data.alert.reopenCount}, resolution ${reopened.data.alert.resolution} (expected OPEN, 1, null)`);
+        console.log(`   History reason: ${reopenEvent && reopenEvent.details}`);
+
+        const reResolved = await makeRequest('PATCH', `/api/alerts/${reopenId}/resolve`, { resolution: 'Permit renewed' });
+        console.log(`   Resolved again after reopen: ${reResolved.status} (expected 200)\n`);
+
+        // Test 32: Snooze & Suppression
+        console.log('3️2️ Testing Snooze & Suppression...');
+        const snoozeTarget = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'overspeed',
+            metadata: { driverId: 'DRV023', vehicleId: 'MH12SZ2300', speed: 82, speedLimit: 60 }
+        });
+        const snoozeId = snoozeTarget.data.alert.alertId;
+
+        const snoozeNoReason = await makeRequest('POST', `/api/alerts/${snoozeId}/snooze`, { durationMins: 1 });
+        console.log(`   Snooze without reason: ${snoozeNoReason.status} (expected 400)`);
+
+        const snoozed = await makeRequest('POST', `/api/alerts/${snoozeId}/snooze`, { durationMins: 0.01, reason: 'Driver on a break', operator: 'asha' });
+        console.log(`   Snoozed: ${snoozed.data.alert.status} until ${snoozed.data.alert.snooze.until} (expected SNOOZED)`);
+
+        const snoozedExplain = await makeRequest('GET', `/api/alerts/${snoozeId}/explain`);
+        console.log(`   Evaluated while snoozed: ${snoozedExplain.data.explanation.active} (expected false)`);
+
+        await sleep(1000);
+        await makeRequest('POST', '/api/alerts/process');
+        const woken = await makeRequest('GET', `/api/alerts/${snoozeId}`);
+        const wakeEvent = woken.data.alert.history.find(event => event.action === 'UNSNOOZED');
+        console.log(`   After the snooze: ${woken.data.alert.status} (expected OPEN), history: ${wakeEvent && wakeEvent.details}`);
+
+        const badSuppression = await makeRequest('POST', '/api/suppressions', { sourceType: 'vehicle_maintenance', until: new Date(Date.now() + 3600000).toISOString() });
+        console.log(`   Suppression without driver or vehicle: ${badSuppression.status} (expected 400)`);
+
+        const suppression = await makeRequest('POST', '/api/suppressions', {
+            sourceType: ['vehicle_maintenance', 'fuel_efficiency'],
+            vehicleId: 'MH12WS2400',
+            until: new Date(Date.now() + 3600000).toISOString(),
+            reason: 'In the workshop',
+            createdBy: 'test-suite'
+        });
+        console.log(`   Suppression created: ${suppression.status} (expected 201)`);
+
+        const workshopAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'fuel_efficiency',
+            metadata: { driverId: 'DRV024', vehicleId: 'MH12WS2400', kmpl: 4 }
+        });
+        const otherVehicleAlert = await makeRequest('POST', '/api/alerts', {
+            sourceType: 'fuel_efficiency',
+            metadata: { driverId: 'DRV024', vehicleId: 'MH12WS2500', kmpl: 4 }
+        });
+        console.log(`   Workshop vehicle alert: ${workshopAlert.data.alert.status} (expected SUPPRESSED), other vehicle: ${otherVehicleAlert.data.alert.status} (expected OPEN)`);
+
+        const activeSuppressions = await makeRequest('GET', '/api/suppressions?active=true');
+        const deleteSuppression = await makeRequest('DELETE', `/api/suppressions/${suppression.data.suppression.suppressionId}`);
+        const deleteSuppressionAgain = await makeRequest('DELETE', `/api/suppressions/${suppression.data.suppression.suppressionId}`);
+        console.log(`   Active suppressions: ${activeSuppressions.data.suppressions.length}, delete: ${deleteSuppression.status}, again: ${deleteSuppressionAgain.status} (expected 404)\n`);
+
+        // Test 33: Deduplication by Fingerprint
+        console.log('3️3️ Testing Alert Deduplication...');
+        await makeRequest('PUT', '/api/rules', {
+            rules: { overspeed: { escalate_if_count: 3, window_mins: 60, escalate_to_severity: 'CRITICAL' } }
+        });
+        const repeatOverspeed = (location) => makeRequest('POST', '/api/alerts', {
+            sourceType: 'overspeed',
+            metadata: { driverId: 'DRV025', vehicleId: 'MH12DD2500', speed: 88, speedLimit: 60, location }
+        });
+        const firstOccurrence = await repeatOverspeed('Expressway KM 42');
+        const secondOccurrence = await repeatOverspeed('Expressway KM 42');
+
+        // Deduplication is opt-in: the server needs DEDUP_FILE_PATH=./dedup.example.json (or a dedup.json)
+        if (!firstOccurrence.data.alert.fingerprint) {
+            console.log(`   Deduplication disabled: repeat ${secondOccurrence.status} (expected 201), start the server with DEDUP_FILE_PATH=./dedup.example.json to test it\n`);
+        } else {
+            const thirdOccurrence = await repeatOverspeed('Expressway KM 42');
+            console.log(`   First: ${firstOccurrence.status}, repeat: ${secondOccurrence.status} deduplicated ${secondOccurrence.data.deduplicated} (expected 201, 200 true)`);
+            console.log(`   Same alert: ${thirdOccurrence.data.alert.alertId === firstOccurrence.data.alert.alertId}, occurrences: ${thirdOccurrence.data.alert.occurrenceCount} (expected true, 3)`);
+            console.log(`   Escalated on the third occurrence: ${thirdOccurrence.data.alert.status} (expected ESCALATED)`);
+
+            const elsewhere = await repeatOverspeed('Expressway KM 97');
+            const sameFingerprint = await makeRequest('GET', `/api/alerts?fingerprint=${encodeURIComponent(firstOccurrence.data.alert.fingerprint)}`);
+            console.log(`   Other location: ${elsewhere.status} (expected 201), alerts with the first fingerprint: ${sameFingerprint.data.pagination.total} (expected 1)\n`);
+        }
+
         // Final Statistics
         console.log(' Final Enhanced System Statistics...');
         const finalStats = await makeRequest('GET', '/api/alerts/stats');
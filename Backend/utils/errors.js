@@ -0,0 +1,58 @@
+// Raised when a compare-and-set save finds a newer version of the alert in storage
+class ConcurrencyError extends Error {
+    constructor(alertId, expectedVersion, currentVersion, current = null) {
+        super(`Alert ${alertId} was modified by another update (expected version ${expectedVersion}, found ${currentVersion})`);
+        this.name = 'ConcurrencyError';
+        this.alertId = alertId;
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+        this.current = current;
+    }
+}
+
+// Raised when a rule condition cannot be parsed; position is the character offset
+class ExpressionError extends Error {
+    constructor(message, expression, position) {
+        super(position === undefined ? message : `${message} at position ${position}`);
+        this.name = 'ExpressionError';
+        this.expression = expression;
+        this.position = position;
+    }
+}
+
+// Raised when a rules update fails schema validation; errors are [{ field, message }]
+class RuleValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid rules: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        this.name = 'RuleValidationError';
+        this.errors = errors;
+    }
+}
+
+// Raised when a rule simulation would need more evaluations than SIMULATION_MAX_EVALUATIONS allows
+class SimulationLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SimulationLimitError';
+    }
+}
+
+// Raised when an alert is asked to do something its status does not allow (see ALERT_TRANSITIONS)
+class InvalidTransitionError extends Error {
+    constructor(alertId, from, to, action, reason = null) {
+        super(`Cannot ${action} alert ${alertId} in status ${from}${reason ? `: ${reason}` : ''}`);
+        this.name = 'InvalidTransitionError';
+        this.alertId = alertId;
+        this.from = from;
+        this.to = to;
+        this.action = action;
+    }
+}
+
+module.exports = {
+    ConcurrencyError,
+    ExpressionError,
+    InvalidTransitionError,
+    RuleValidationError,
+    SimulationLimitError
+};
@@ -0,0 +1,83 @@
+// Serialization helpers for NDJSON and CSV (RFC 4180) bulk transfers
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+    return values.map(toCsvValue).join(',') + '\n';
+}
+
+// Returns [{ line, fields }] for each non-empty row, fields being raw strings and
+// line the physical line the row starts on (quoted fields may span lines)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+                line++;
+            }
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+            row = [];
+            field = '';
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, fields: row });
+    }
+
+    return rows.filter(({ fields }) => fields.some(value => value !== ''));
+}
+
+// Returns [{ line, value }] or [{ line, error }] for each non-empty line
+function parseNdjson(text) {
+    return text.split('\n')
+        .map((line, index) => ({ line: index + 1, text: line.trim() }))
+        .filter(({ text: lineText }) => lineText)
+        .map(({ line, text: lineText }) => {
+            try {
+                return { line, value: JSON.parse(lineText) };
+            } catch (error) {
+                return { line, error: `Invalid JSON: ${error.message}` };
+            }
+        });
+}
+
+module.exports = {
+    toCsvRow,
+    parseCsv,
+    parseNdjson
+};
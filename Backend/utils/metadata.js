@@ -0,0 +1,38 @@
+// Helpers for reading alert metadata by dotted path, shared by the rule engine and the storage windows
+
+// Reads a dotted path such as "route.id" (or "metadata.route.id") from alert metadata
+function readMetadataPath(metadata, path) {
+    return path.replace(/^metadata\./, '').split('.').reduce((value, key) => (
+        value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : null
+    ), metadata || {});
+}
+
+// Copies the given metadata paths (skipping missing values), keeping their nesting
+function pickMetadataPaths(metadata, paths) {
+    const picked = {};
+    paths.forEach(path => {
+        const value = readMetadataPath(metadata, path);
+        if (value === null || value === undefined) return;
+
+        const keys = path.replace(/^metadata\./, '').split('.');
+        let target = picked;
+        keys.slice(0, -1).forEach(key => {
+            target = target[key] = target[key] || {};
+        });
+        target[keys[keys.length - 1]] = value;
+    });
+    return picked;
+}
+
+// The values at one or more paths as a JSON key; null when any of them is missing
+function groupKey(metadata, groupBy) {
+    const values = [].concat(groupBy).map(path => readMetadataPath(metadata, path));
+    if (values.some(value => value === null || value === undefined || value === '')) return null;
+    return JSON.stringify(values);
+}
+
+module.exports = {
+    readMetadataPath,
+    pickMetadataPaths,
+    groupKey
+};
@@ -0,0 +1,24 @@
+// Occurrences of deduplicated alerts, shared by the storage windows and the rule engine.
+// The first occurrence is the alert itself; repeats are kept in alert.occurrences.
+
+// The alert's count window entries, one per occurrence, as [{ member, timestamp }] (ms).
+// Repeats are filed as <alertId>#<seq> so every occurrence counts on its own
+function occurrenceEntries(alertData) {
+    return [
+        { member: alertData.alertId, timestamp: new Date(alertData.timestamp).getTime() },
+        ...(alertData.occurrences || []).map(occurrence => ({
+            member: `${alertData.alertId}#${occurrence.seq}`,
+            timestamp: new Date(occurrence.at).getTime()
+        }))
+    ];
+}
+
+// The alert ID behind a window entry
+function occurrenceAlertId(member) {
+    return member.replace(/#\d+$/, '');
+}
+
+module.exports = {
+    occurrenceEntries,
+    occurrenceAlertId
+};
@@ -121,6 +121,10 @@ async function getAlertById(alertId) {
     return await makeApiCall(`/alerts/${alertId}`);
 }
 
+async function explainAlert(alertId) {
+    return await makeApiCall(`/alerts/${alertId}/explain`);
+}
+
 async function resolveAlert(alertId, resolution) {
     return await makeApiCall(`/alerts/${alertId}/resolve`, {
         method: 'PATCH',
@@ -128,6 +132,34 @@ async function resolveAlert(alertId, resolution) {
     });
 }
 
+async function acknowledgeAlert(alertId, operator) {
+    return await makeApiCall(`/alerts/${alertId}/ack`, {
+        method: 'PATCH',
+        body: JSON.stringify({ operator })
+    });
+}
+
+async function assignAlert(alertId, assignee, operator) {
+    return await makeApiCall(`/alerts/${alertId}/assign`, {
+        method: 'PATCH',
+        body: JSON.stringify({ assignee, operator })
+    });
+}
+
+async function snoozeAlert(alertId, durationMins, reason, operator) {
+    return await makeApiCall(`/alerts/${alertId}/snooze`, {
+        method: 'POST',
+        body: JSON.stringify({ durationMins, reason, operator })
+    });
+}
+
+async function reopenAlert(alertId, reason, operator) {
+    return await makeApiCall(`/alerts/${alertId}/reopen`, {
+        method: 'PATCH',
+        body: JSON.stringify({ reason, operator })
+    });
+}
+
 async function getDashboardData() {
     return await makeApiCall('/dashboard');
 }
@@ -185,6 +217,7 @@ function updateDashboardStats(data) {
     // Update summary stats
     document.getElementById('totalActive').textContent = data.summary.totalActive || 0;
     document.getElementById('escalationRate').textContent = `${data.summary.escalationRate || 0}%`;
+    document.getElementById('deEscalatedCount').textContent = data.summary.deEscalated || 0;
 }
 
 function updateAlertsList(alerts) {
@@ -220,6 +253,7 @@ function updateAlertsList(alerts) {
                 ${alert.metadata.vehicleId ? `<span><i class="fas fa-car"></i> ${alert.metadata.vehicleId}</span>` : ''}
                 <span><i class="fas fa-clock"></i> ${formatTimestamp(alert.timestamp)}</span>
                 <span><i class="fas fa-calendar"></i> Age: ${alert.age} days</span>
+                ${alert.occurrenceCount > 1 ? `<span class="occurrence-count"><i class="fas fa-redo"></i> ${alert.occurrenceCount} occurrences</span>` : ''}
             </div>
         </div>
     `).join('');
@@ -354,6 +388,17 @@ function applyFilters() {
         sourceType: document.getElementById('sourceTypeFilter').value,
         driverId: document.getElementById('driverIdFilter').value
     };
+
+    // "My alerts" shows the alerts assigned to the operator using this dashboard
+    const myAlerts = document.getElementById('myAlertsFilter');
+    if (myAlerts.checked) {
+        const operator = getOperatorName();
+        if (operator) {
+            currentFilters.assignee = operator;
+        } else {
+            myAlerts.checked = false;
+        }
+    }
     
     // Remove empty filters
     Object.keys(currentFilters).forEach(key => {
@@ -413,9 +458,9 @@ async function handleCreateAlert(event) {
     
     try {
         showLoading(true);
-        await createAlert(formData);
+        const response = await createAlert(formData);
         closeCreateAlertModal();
-        showToast('Alert created successfully', 'success');
+        showToast(response.deduplicated ? `Repeat added to an open alert (${response.alert.occurrenceCount} occurrences)` : 'Alert created successfully', 'success');
         await loadDashboard();
     } catch (error) {
         console.error('Failed to create alert:', error);
@@ -428,8 +473,9 @@ async function handleCreateAlert(event) {
 async function showAlertDetail(alertId) {
     try {
         showLoading(true);
-        const response = await getAlertById(alertId);
+        const [response, explainResponse] = await Promise.all([getAlertById(alertId), explainAlert(alertId)]);
         const alert = response.alert;
+        const explanation = explainResponse.explanation;
         
         const detailContent = document.getElementById('alertDetailContent');
         detailContent.innerHTML = `
@@ -472,14 +518,55 @@ async function showAlertDetail(alertId) {
                     <div class="detail-label">Vehicle ID</div>
                     <div class="detail-value">${alert.metadata.vehicleId}</div>
                 </div>` : ''}
+                ${alert.assignee ? `
+                <div class="detail-item">
+                    <div class="detail-label">Assignee</div>
+                    <div class="detail-value">${alert.assignee}</div>
+                </div>` : ''}
+                ${alert.acknowledgedAt ? `
+                <div class="detail-item">
+                    <div class="detail-label">Acknowledged</div>
+                    <div class="detail-value">${alert.acknowledgedBy}, ${formatTimestamp(alert.acknowledgedAt)}</div>
+                </div>` : ''}
             </div>
             
+            ${alert.snooze ? `
+            <div class="detail-item" style="margin-bottom: 25px;">
+                <div class="detail-label">Snoozed</div>
+                <div class="detail-value">Until ${formatTimestamp(alert.snooze.until)}: ${alert.snooze.reason}</div>
+            </div>` : ''}
+            
+            ${alert.suppressionId ? `
+            <div class="detail-item" style="margin-bottom: 25px;">
+                <div class="detail-label">Suppressed By</div>
+                <div class="detail-value" style="font-family: monospace;">${alert.suppressionId}</div>
+            </div>` : ''}
+            
+            ${alert.occurrenceCount > 1 ? `
+            <div class="detail-item" style="margin-bottom: 25px;">
+                <div class="detail-label">Occurrences (${alert.occurrenceCount})</div>
+                <div class="detail-value">First seen ${formatTimestamp(alert.firstSeen)}, last seen ${formatTimestamp(alert.lastSeen)}</div>
+                ${renderOccurrences(alert)}
+            </div>` : ''}
+            
             ${alert.metadata.description ? `
             <div class="detail-item" style="margin-bottom: 25px;">
                 <div class="detail-label">Description</div>
                 <div class="detail-value">${alert.metadata.description}</div>
             </div>` : ''}
             
+            ${alert.correlatedAlertIds && alert.correlatedAlertIds.length > 0 ? `
+            <div class="detail-item" style="margin-bottom: 25px;">
+                <div class="detail-label">Correlated Alerts</div>
+                <div class="detail-value">${renderAlertLinks(alert.correlatedAlertIds)}</div>
+            </div>` : ''}
+            
+            ${alert.compositeAlertIds && alert.compositeAlertIds.length > 0 ? `
+            <div class="detail-item" style="margin-bottom: 25px;">
+                <div class="detail-label">Part of Composite Alerts</div>
+                <div class="detail-value">${renderAlertLinks(alert.compositeAlertIds)}</div>
+            </div>` : ''}
+            
             ${alert.resolution ? `
             <div class="detail-item" style="margin-bottom: 25px;">
                 <div class="detail-label">Resolution</div>
@@ -489,13 +576,30 @@ async function showAlertDetail(alertId) {
                 </div>
             </div>` : ''}
             
-            ${alert.status === 'OPEN' || alert.status === 'ESCALATED' ? `
-            <div style="margin-bottom: 25px;">
+            ${['OPEN', 'ACKNOWLEDGED', 'ESCALATED', 'SNOOZED'].includes(alert.status) ? `
+            <div style="margin-bottom: 25px; display: flex; gap: 10px; flex-wrap: wrap;">
+                ${alert.status !== 'ACKNOWLEDGED' ? `
+                <button class="btn btn-secondary" onclick="acknowledgeFromDetail('${alert.alertId}')">
+                    <i class="fas fa-hand-paper"></i> Acknowledge
+                </button>` : ''}
+                <button class="btn btn-secondary" onclick="showAssignForm('${alert.alertId}', '${alert.assignee || ''}')">
+                    <i class="fas fa-user-tag"></i> Assign
+                </button>
+                <button class="btn btn-secondary" onclick="showSnoozeForm('${alert.alertId}')">
+                    <i class="fas fa-bell-slash"></i> Snooze
+                </button>
                 <button class="btn btn-primary" onclick="showResolveForm('${alert.alertId}')">
                     <i class="fas fa-check"></i> Resolve Alert
                 </button>
             </div>` : ''}
             
+            ${alert.status === 'RESOLVED' || alert.status === 'AUTO_CLOSED' ? `
+            <div style="margin-bottom: 25px;">
+                <button class="btn btn-secondary" onclick="showReopenForm('${alert.alertId}')">
+                    <i class="fas fa-undo"></i> Reopen Alert
+                </button>
+            </div>` : ''}
+            
             ${alert.sourceType === 'compliance' && alert.status === 'OPEN' ? `
 <div style="margin-bottom: 25px;">
     <button class="btn btn-warning" onclick="renewDocument('${alert.alertId}')">
@@ -503,6 +607,8 @@ async function showAlertDetail(alertId) {
     </button>
 </div>` : ''}
 
+            ${renderExplanation(explanation)}
+
             <div class="history-section">
                 <h4 style="margin-bottom: 15px; color: #2d3748;">
                     <i class="fas fa-history"></i> History (${alert.history.length} events)
@@ -531,6 +637,46 @@ async function showAlertDetail(alertId) {
     }
 }
 
+function renderExplanation(explanation) {
+    const outcome = explanation.outcome
+        ? `${explanation.outcome.type.replace('_', ' ').toUpperCase()}: ${explanation.outcome.reason}`
+        : 'No action: the checks below did not trigger any rule';
+
+    return `
+        <div class="explain-section">
+            <h4 style="margin-bottom: 15px; color: #2d3748;">
+                <i class="fas fa-search"></i> Rule Evaluation (revision ${explanation.ruleRevision})
+            </h4>
+            <div class="explain-outcome">${explanation.active ? outcome : `Not evaluated by background jobs (${explanation.status})`}</div>
+            ${explanation.checks.map(check => `
+                <div class="explain-check ${check.passed ? 'passed' : 'failed'}">
+                    <i class="fas ${check.passed ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+                    <span class="explain-name">${check.check.replace(/_/g, ' ')}</span>
+                    <span class="explain-summary">${check.summary}</span>
+                    ${check.values ? `<div class="explain-values">${Object.entries(check.values).map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ')}</div>` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderAlertLinks(alertIds) {
+    return alertIds.map(alertId => `
+        <a href="#" class="alert-link" onclick="event.preventDefault(); showAlertDetail('${alertId}')">${alertId.substring(0, 8)}...</a>
+    `).join(' ');
+}
+
+// Repeats newest first; the first occurrence is the alert itself
+function renderOccurrences(alert) {
+    return [...alert.occurrences].reverse().map(occurrence => `
+        <div class="occurrence-item">
+            <span class="occurrence-seq">#${occurrence.seq}</span>
+            <span>${formatTimestamp(occurrence.at)}</span>
+            <span class="occurrence-details">${getAlertDescription({ ...alert, metadata: occurrence.metadata || {} })}</span>
+        </div>
+    `).join('');
+}
+
 function closeAlertDetailModal() {
     document.getElementById('alertDetailModal').style.display = 'none';
 }
@@ -553,6 +699,103 @@ async function showResolveForm(alertId) {
     }
 }
 
+// Snoozed alerts are not evaluated until the background job wakes them
+async function showSnoozeForm(alertId) {
+    const duration = prompt('Snooze for how many minutes?', '60');
+    if (duration === null) return;
+
+    const durationMins = parseFloat(duration);
+    if (!(durationMins > 0)) {
+        showToast('Enter a positive number of minutes', 'warning');
+        return;
+    }
+
+    const reason = prompt('Why is this alert being snoozed?');
+    if (!reason || !reason.trim()) return;
+
+    try {
+        showLoading(true);
+        const response = await snoozeAlert(alertId, durationMins, reason.trim(), localStorage.getItem('operatorName'));
+        showToast(`Alert snoozed until ${formatTimestamp(response.alert.snooze.until)}`, 'success');
+        await showAlertDetail(alertId);
+        await loadDashboard();
+    } catch (error) {
+        console.error('Failed to snooze alert:', error);
+        showToast('Failed to snooze alert', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Reopening needs a reason; the API rejects alerts closed longer ago than REOPEN_WINDOW_HOURS
+async function showReopenForm(alertId) {
+    const reason = prompt('Why is this alert being reopened?');
+    if (!reason || !reason.trim()) return;
+
+    try {
+        showLoading(true);
+        await reopenAlert(alertId, reason.trim(), localStorage.getItem('operatorName'));
+        showToast('Alert reopened', 'success');
+        await showAlertDetail(alertId);
+        await loadDashboard();
+    } catch (error) {
+        console.error('Failed to reopen alert:', error);
+        showToast('Failed to reopen alert', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// The operator name is asked once and kept in this browser
+function getOperatorName() {
+    let operator = localStorage.getItem('operatorName');
+    if (!operator) {
+        operator = (prompt('Enter your operator name:') || '').trim();
+        if (operator) localStorage.setItem('operatorName', operator);
+    }
+    return operator;
+}
+
+async function acknowledgeFromDetail(alertId) {
+    const operator = getOperatorName();
+    if (!operator) return;
+
+    try {
+        showLoading(true);
+        await acknowledgeAlert(alertId, operator);
+        showToast(`Alert acknowledged by ${operator}`, 'success');
+        await showAlertDetail(alertId);
+        await loadDashboard();
+    } catch (error) {
+        console.error('Failed to acknowledge alert:', error);
+        showToast('Failed to acknowledge alert', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// An empty name unassigns the alert
+async function showAssignForm(alertId, currentAssignee) {
+    const operator = getOperatorName();
+    if (!operator) return;
+
+    const assignee = prompt('Assign to operator (leave empty to unassign):', currentAssignee || operator);
+    if (assignee === null) return;
+
+    try {
+        showLoading(true);
+        await assignAlert(alertId, assignee.trim() || null, operator);
+        showToast(assignee.trim() ? `Alert assigned to ${assignee.trim()}` : 'Alert unassigned', 'success');
+        await showAlertDetail(alertId);
+        await loadDashboard();
+    } catch (error) {
+        console.error('Failed to assign alert:', error);
+        showToast('Failed to assign alert', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
 // Utility Functions
 function refreshDashboard() {
     showToast('Refreshing dashboard...', 'info');
@@ -614,6 +857,10 @@ function getAlertDescription(alert) {
         return alert.metadata.description;
     }
     
+    if (alert.correlatedAlertIds && alert.correlatedAlertIds.length > 0) {
+        return `Composite of ${alert.correlatedAlertIds.length} correlated alerts`;
+    }
+    
     // Generate description based on alert type and metadata
     switch (alert.sourceType) {
         case 'overspeed':